@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+// Auth-method matrix for realtime WebSocket connections
+// Tries every way of sending the OpenAI key (subprotocol, header, URL api_key
+// or none, i.e. BYOK) against every way of sending the gateway token
+// (subprotocol, header or none) and records whether the gateway accepted the
+// connection, how it closed and the first server event. Results are written
+// as JSON and as a Markdown compatibility table; pass --baseline with an
+// earlier JSON report to fail when the gateway's behaviour changes.
+//
+// Usage:
+//   CF_ACCOUNT_ID=... CF_GATEWAY_ID=... OPENAI_API_KEY=... CF_AUTH_TOKEN=... \
+//     node scripts/auth-matrix.js [--out reports] [--baseline reports/auth-matrix.json]
+//   node scripts/auth-matrix.js --mock      # offline, against server/mock-gateway.js
+// With AUTH_MODE=byok no OpenAI key is needed and only the BYOK row is tried.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+
+const DEFAULT_GATEWAY_BASE_URL = 'https://gateway.ai.cloudflare.com/v1';
+
+// How long to wait for the upgrade, and then for the first server event
+const CONNECT_TIMEOUT_MS = 10000;
+const FIRST_EVENT_TIMEOUT_MS = 5000;
+
+export const KEY_METHODS = {
+    subprotocol: 'openai-insecure-api-key subprotocol',
+    header: 'Authorization header',
+    url: 'URL api_key',
+    none: 'No key (BYOK)'
+};
+
+export const TOKEN_METHODS = {
+    subprotocol: 'cf-aig-authorization subprotocol',
+    header: 'cf-aig-authorization header',
+    none: 'No gateway token'
+};
+
+// Every key method paired with every gateway token method
+export const AUTH_COMBINATIONS = Object.keys(KEY_METHODS).flatMap(key =>
+    Object.keys(TOKEN_METHODS).map(token => ({ id: `${key}+${token}`, key, token }))
+);
+
+// Turn a combination into the URL, subprotocols and headers of one attempt
+export function buildAttempt(combination, config) {
+    const baseUrl = (config.gatewayBaseUrl || DEFAULT_GATEWAY_BASE_URL).replace(/\/+$/, '').replace(/^http/, 'ws');
+    const url = new URL(`${baseUrl}/${config.accountId}/${config.gatewayId}/openai`);
+    url.searchParams.set('model', config.model);
+
+    const protocols = ['realtime'];
+    const headers = {};
+
+    if (combination.key === 'subprotocol') {
+        protocols.push(`openai-insecure-api-key.${config.openaiKey}`);
+    } else if (combination.key === 'header') {
+        headers['Authorization'] = `Bearer ${config.openaiKey}`;
+    } else if (combination.key === 'url') {
+        url.searchParams.set('api_key', config.openaiKey);
+    }
+
+    if (combination.token === 'subprotocol') {
+        protocols.push(`cf-aig-authorization.${config.cfAuthToken}`);
+    } else if (combination.token === 'header') {
+        headers['cf-aig-authorization'] = `Bearer ${config.cfAuthToken}`;
+    }
+
+    protocols.push('openai-beta.realtime-v1');
+    headers['OpenAI-Beta'] = 'realtime=v1';
+
+    return { url: url.toString(), protocols, headers };
+}
+
+// Open one connection and report what happened. Never rejects.
+export function probeConnection({ url, protocols, headers }) {
+    const started = Date.now();
+    const result = {
+        accepted: false,
+        httpStatus: null,
+        protocol: null,
+        firstEvent: null,
+        closeCode: null,
+        closeReason: null,
+        error: null,
+        durationMs: 0
+    };
+
+    return new Promise((resolve) => {
+        let settled = false;
+        const ws = new WebSocket(url, protocols, { headers });
+
+        const finish = () => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            result.durationMs = Date.now() - started;
+            resolve(result);
+        };
+
+        let timer = setTimeout(() => {
+            result.error = 'Timed out waiting for the connection';
+            ws.terminate();
+            finish();
+        }, CONNECT_TIMEOUT_MS);
+
+        // Rejected upgrades carry the gateway's reason in the HTTP body
+        ws.on('unexpected-response', (request, response) => {
+            result.httpStatus = response.statusCode;
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => {
+                result.error = body.slice(0, 300) || response.statusMessage;
+                request.destroy();
+                finish();
+            });
+        });
+
+        ws.on('open', () => {
+            result.accepted = true;
+            result.httpStatus = 101;
+            result.protocol = ws.protocol || null;
+
+            clearTimeout(timer);
+            timer = setTimeout(() => ws.close(1000), FIRST_EVENT_TIMEOUT_MS);
+        });
+
+        ws.on('message', (data) => {
+            if (result.firstEvent) return;
+            try {
+                const event = JSON.parse(data.toString());
+                result.firstEvent = event.type;
+                if (event.type === 'error') {
+                    result.error = event.error?.message || null;
+                }
+            } catch {
+                result.firstEvent = 'unparseable';
+            }
+            ws.close(1000);
+        });
+
+        ws.on('error', (error) => {
+            if (settled) return;
+            result.error = result.error || error.message;
+            // Without an open socket no close event follows
+            if (!result.accepted) finish();
+        });
+
+        ws.on('close', (code, reason) => {
+            if (settled) return;
+            result.closeCode = code;
+            result.closeReason = reason.toString() || null;
+            finish();
+        });
+    });
+}
+
+// Run the whole matrix, one connection at a time
+export async function runAuthMatrix(config, { combinations = AUTH_COMBINATIONS, onResult } = {}) {
+    const results = [];
+
+    for (const combination of combinations) {
+        const attempt = buildAttempt(combination, config);
+        const outcome = await probeConnection(attempt);
+        const result = {
+            id: combination.id,
+            key: combination.key,
+            token: combination.token,
+            ...outcome
+        };
+        results.push(result);
+        onResult?.(result);
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        gateway: {
+            baseUrl: config.gatewayBaseUrl || DEFAULT_GATEWAY_BASE_URL,
+            model: config.model,
+            authenticated: Boolean(config.cfAuthToken)
+        },
+        results
+    };
+}
+
+const cell = (result) => {
+    if (!result) return '–';
+    if (result.accepted) {
+        return result.firstEvent === 'session.created' ? '✅ accepted' : `⚠️ ${result.firstEvent || 'no event'}`;
+    }
+    return `❌ ${result.httpStatus || result.closeCode || 'error'}`;
+};
+
+const escapeCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+// Compatibility table (key methods × token methods) plus per-attempt details
+export function toMarkdown(report) {
+    const byId = new Map(report.results.map(result => [result.id, result]));
+    const tokenMethods = Object.keys(TOKEN_METHODS);
+    const lines = [
+        '# Realtime WebSocket Auth Matrix',
+        '',
+        `Generated ${report.generatedAt} against \`${report.gateway.baseUrl}\` (model \`${report.gateway.model}\`).`,
+        '',
+        `| OpenAI key \\ Gateway token | ${tokenMethods.map(token => TOKEN_METHODS[token]).join(' | ')} |`,
+        `| --- | ${tokenMethods.map(() => '---').join(' | ')} |`
+    ];
+
+    for (const [key, label] of Object.entries(KEY_METHODS)) {
+        const cells = tokenMethods.map(token => cell(byId.get(`${key}+${token}`)));
+        lines.push(`| ${label} | ${cells.join(' | ')} |`);
+    }
+
+    lines.push(
+        '',
+        '## Details',
+        '',
+        '| Combination | Accepted | HTTP | Close | First event | Error |',
+        '| --- | --- | --- | --- | --- | --- |'
+    );
+
+    for (const result of report.results) {
+        const close = result.closeCode ? `${result.closeCode}${result.closeReason ? ` ${result.closeReason}` : ''}` : '';
+        lines.push(`| ${[
+            result.id,
+            result.accepted ? 'yes' : 'no',
+            result.httpStatus ?? '',
+            close,
+            result.firstEvent ?? '',
+            result.error ?? ''
+        ].map(escapeCell).join(' | ')} |`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// List the combinations whose outcome differs from a baseline report
+export function compareReports(baseline, report) {
+    const previous = new Map(baseline.results.map(result => [result.id, result]));
+    const changes = [];
+
+    for (const result of report.results) {
+        const before = previous.get(result.id);
+        if (!before) continue;
+
+        const wasOk = before.accepted && before.firstEvent === 'session.created';
+        const isOk = result.accepted && result.firstEvent === 'session.created';
+        if (wasOk !== isOk) {
+            changes.push({ id: result.id, before: cell(before), after: cell(result) });
+        }
+    }
+
+    return changes;
+}
+
+export function configFromEnv(env) {
+    return {
+        gatewayBaseUrl: env.CF_GATEWAY_URL || '',
+        accountId: env.CF_ACCOUNT_ID || '',
+        gatewayId: env.CF_GATEWAY_ID || '',
+        openaiKey: env.OPENAI_API_KEY || '',
+        cfAuthToken: env.CF_AUTH_TOKEN || '',
+        model: env.MODEL || 'gpt-4o-mini-realtime-preview',
+        authMode: env.AUTH_MODE === 'byok' ? 'byok' : 'key'
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            out: { type: 'string', default: 'reports' },
+            baseline: { type: 'string' },
+            mock: { type: 'boolean', default: false }
+        }
+    });
+
+    let config = configFromEnv(process.env);
+    let mockGateway = null;
+
+    if (values.mock) {
+        const { createMockGateway } = await import('../server/mock-gateway.js');
+        mockGateway = createMockGateway({ cfAuthToken: 'mock-token', byokKey: 'sk-stored' });
+        const { httpUrl } = await mockGateway.listen();
+        config = {
+            ...config,
+            gatewayBaseUrl: httpUrl,
+            accountId: 'mock-account',
+            gatewayId: 'mock-gateway',
+            openaiKey: 'sk-mock',
+            cfAuthToken: 'mock-token'
+        };
+    }
+
+    const byok = config.authMode === 'byok';
+    const required = byok ? ['accountId', 'gatewayId', 'cfAuthToken'] : ['accountId', 'gatewayId', 'openaiKey'];
+    const missing = required.filter(key => !config[key]);
+    if (missing.length > 0) {
+        console.error(`Missing configuration: ${missing.join(', ')} (see .env.example, or use --mock)`);
+        process.exit(2);
+    }
+
+    // In BYOK mode the OpenAI key is never sent
+    const combinations = AUTH_COMBINATIONS.filter(combination =>
+        (config.cfAuthToken || combination.token === 'none') && (!byok || combination.key === 'none')
+    );
+
+    const report = await runAuthMatrix(config, {
+        combinations,
+        onResult: (result) => console.log(`${cell(result).padEnd(14)} ${result.id}`)
+    });
+    await mockGateway?.close();
+
+    await mkdir(values.out, { recursive: true });
+    await writeFile(join(values.out, 'auth-matrix.json'), JSON.stringify(report, null, 2) + '\n');
+    await writeFile(join(values.out, 'auth-matrix.md'), toMarkdown(report));
+    console.log(`\nWrote ${join(values.out, 'auth-matrix.json')} and ${join(values.out, 'auth-matrix.md')}`);
+
+    if (values.baseline) {
+        const baseline = JSON.parse(await readFile(values.baseline, 'utf8'));
+        const changes = compareReports(baseline, report);
+
+        if (changes.length > 0) {
+            console.error('\nGateway behaviour changed since the baseline:');
+            for (const change of changes) {
+                console.error(`  ${change.id}: ${change.before} → ${change.after}`);
+            }
+            process.exit(1);
+        }
+        console.log('Matches the baseline.');
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(`Auth matrix failed: ${error.message}`);
+        process.exit(1);
+    });
+}
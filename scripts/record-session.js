@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+// Record a realtime session over a raw `ws` connection
+// Connects to the gateway the same way as the auth matrix (headers), asks one
+// question and records every frame until the response is done, then writes a
+// session file for server/replay-server.js. The pages record their own
+// sessions from the Event Inspector.
+//
+// Usage:
+//   CF_ACCOUNT_ID=... CF_GATEWAY_ID=... OPENAI_API_KEY=... [CF_AUTH_TOKEN=...] \
+//     node scripts/record-session.js [--text "Hello"] [--audio] [--out reports/realtime-session.json]
+//   node scripts/record-session.js --mock   # offline, against server/mock-gateway.js
+// Sessions are text-only unless --audio is given; audio makes files large.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+import { SessionRecorder } from '../src/js/session-recording.js';
+import { buildAttempt, configFromEnv } from './auth-matrix.js';
+
+// Give up on a response that has not finished by then
+const RESPONSE_TIMEOUT_MS = 30000;
+
+// Ask `text` over `attempt` ({ url, protocols, headers }) and resolve with the
+// recording once the response is done, an error event arrives or the socket
+// closes. A frame that is not JSON or no response within `timeout` ends the
+// recording early: the socket is closed and the promise rejects with what
+// was recorded so far as `error.recording`, as does any other failure.
+export function recordSession(attempt, { text, model, audio = false, timeout = RESPONSE_TIMEOUT_MS }) {
+    const recorder = new SessionRecorder({ url: attempt.url, model });
+    const ws = recorder.attach(new WebSocket(attempt.url, attempt.protocols, { headers: attempt.headers }));
+
+    return new Promise((resolve, reject) => {
+        let failure = null;
+        const fail = (error) => {
+            failure ??= error;
+            ws.close(1000);
+        };
+
+        const timer = setTimeout(() => fail(new Error(`No response within ${timeout / 1000}s`)), timeout);
+
+        // Every rejection carries what was recorded, even before the handshake
+        const end = (error) => {
+            clearTimeout(timer);
+            const recording = recorder.toJSON();
+            if (!error) {
+                resolve(recording);
+                return;
+            }
+            error.recording ??= recording;
+            reject(error);
+        };
+
+        ws.on('unexpected-response', (request, response) => {
+            request.destroy();
+            end(new Error(`The gateway refused the connection (${response.statusCode})`));
+        });
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({
+                type: 'session.update',
+                session: { modalities: audio ? ['text', 'audio'] : ['text'], turn_detection: null }
+            }));
+            ws.send(JSON.stringify({
+                type: 'conversation.item.create',
+                item: { type: 'message', role: 'user', content: [{ type: 'input_text', text }] }
+            }));
+            ws.send(JSON.stringify({ type: 'response.create' }));
+        });
+
+        ws.on('message', (data) => {
+            let type;
+            try {
+                ({ type } = JSON.parse(data.toString()));
+            } catch {
+                fail(new Error(`The gateway sent a frame that is not JSON: ${data.toString().slice(0, 200)}`));
+                return;
+            }
+            if (type === 'response.done' || type === 'error') {
+                ws.close(1000);
+            }
+        });
+
+        // Closing before the handshake finished also ends up here
+        ws.on('error', (error) => end(failure ?? error));
+
+        ws.on('close', () => end(failure));
+    });
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            out: { type: 'string', default: 'reports/realtime-session.json' },
+            text: { type: 'string', default: 'Say hello in one short sentence.' },
+            audio: { type: 'boolean', default: false },
+            mock: { type: 'boolean', default: false }
+        }
+    });
+
+    let config = configFromEnv(process.env);
+    let mockGateway = null;
+
+    if (values.mock) {
+        const { createMockGateway } = await import('../server/mock-gateway.js');
+        mockGateway = createMockGateway({ cfAuthToken: 'mock-token' });
+        const { httpUrl } = await mockGateway.listen();
+        config = {
+            ...config,
+            gatewayBaseUrl: httpUrl,
+            accountId: 'mock-account',
+            gatewayId: 'mock-gateway',
+            openaiKey: 'sk-mock',
+            cfAuthToken: 'mock-token'
+        };
+    }
+
+    const byok = config.authMode === 'byok';
+    const required = byok ? ['accountId', 'gatewayId', 'cfAuthToken'] : ['accountId', 'gatewayId', 'openaiKey'];
+    const missing = required.filter(key => !config[key]);
+    if (missing.length > 0) {
+        console.error(`Missing configuration: ${missing.join(', ')} (see .env.example, or use --mock)`);
+        process.exit(2);
+    }
+
+    const attempt = buildAttempt({ key: byok ? 'none' : 'header', token: config.cfAuthToken ? 'header' : 'none' }, config);
+    try {
+        // A recording that ended early is still written, then reported
+        let recording;
+        let failure = null;
+        try {
+            recording = await recordSession(attempt, { text: values.text, model: config.model, audio: values.audio });
+        } catch (error) {
+            if (!error.recording) throw error;
+            ({ recording } = error);
+            failure = error;
+        }
+
+        await mkdir(dirname(values.out), { recursive: true });
+        await writeFile(values.out, JSON.stringify(recording, null, 2) + '\n');
+        console.log(`Recorded ${recording.frames.length} frames to ${values.out}`);
+        if (failure) throw failure;
+        console.log(`Replay it with: node server/replay-server.js ${values.out}`);
+    } finally {
+        await mockGateway?.close();
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(`Recording failed: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,372 @@
+// Credential broker: keeps the OpenAI key and gateway token on the server
+// The browser's "server-brokered" auth mode talks to these routes instead of
+// the gateway, so no long-lived secret is ever sent to or stored in the page:
+//   GET  /api/broker/status              what the broker can do (no secrets)
+//   POST /api/broker/chat/completions    proxied to the gateway, streaming included
+//   POST /api/broker/realtime/sessions   how to open a realtime connection:
+//        { mode: 'token' }  an ephemeral key minted through the gateway, or
+//        { mode: 'relay' }  use the WebSocket relay below (authenticated
+//                           gateways, whose cf-aig-authorization must stay here)
+//   WS   /api/broker/realtime?model=...  relays to the gateway with server credentials
+//
+// Vite mounts it on the dev and preview servers (see vite.config.js);
+// `node server/broker.js` runs it standalone, answering CORS requests from
+// BROKER_ALLOW_ORIGIN (default http://localhost:3000). Credentials come from .env.
+//
+// Since every request spends server credentials, browser requests from any
+// other site are refused: POSTs and upgrades must come from the broker's own
+// origin or BROKER_ALLOW_ORIGIN, and POST bodies must be application/json (so
+// a cross-site form or text/plain fetch cannot skip the CORS preflight).
+
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import WebSocket, { WebSocketServer } from 'ws';
+
+export const BROKER_PATH = '/api/broker';
+
+const DEFAULT_GATEWAY_BASE_URL = 'https://gateway.ai.cloudflare.com/v1';
+const DEFAULT_REALTIME_MODEL = 'gpt-4o-mini-realtime-preview';
+
+// Page request headers the gateway acts on (cache, metadata, timeout and retries)
+const FORWARDED_REQUEST_HEADERS = [
+    'cf-aig-cache-ttl',
+    'cf-aig-skip-cache',
+    'cf-aig-cache-key',
+    'cf-aig-metadata',
+    'cf-aig-request-timeout',
+    'cf-aig-max-attempts',
+    'cf-aig-retry-delay',
+    'cf-aig-backoff'
+];
+
+// Gateway response headers worth passing back to the page
+const FORWARDED_HEADERS = ['content-type', 'cache-control', 'cf-aig-log-id', 'cf-aig-cache-status'];
+
+// Read broker settings from an env object (process.env or Vite's loadEnv)
+export function loadBrokerConfig(env) {
+    return {
+        gatewayBaseUrl: (env.CF_GATEWAY_URL || DEFAULT_GATEWAY_BASE_URL).replace(/\/+$/, ''),
+        accountId: env.CF_ACCOUNT_ID || '',
+        gatewayId: env.CF_GATEWAY_ID || '',
+        openaiKey: env.OPENAI_API_KEY || '',
+        cfAuthToken: env.CF_AUTH_TOKEN || '',
+        model: env.MODEL || DEFAULT_REALTIME_MODEL,
+        allowOrigin: env.BROKER_ALLOW_ORIGIN || ''
+    };
+}
+
+export function createBroker(config) {
+    const gatewayUrl = `${config.gatewayBaseUrl}/${config.accountId}/${config.gatewayId}/openai`;
+    const realtimeUrl = gatewayUrl.replace(/^http/, 'ws');
+    const configured = Boolean(config.accountId && config.gatewayId && (config.openaiKey || config.cfAuthToken));
+
+    // The cf-aig-authorization token can never go to the browser, so an
+    // authenticated gateway is always reached through the relay
+    const realtimeMode = config.cfAuthToken ? 'relay' : 'token';
+
+    const gatewayHeaders = () => {
+        const headers = {};
+        if (config.openaiKey) headers['Authorization'] = `Bearer ${config.openaiKey}`;
+        if (config.cfAuthToken) headers['cf-aig-authorization'] = `Bearer ${config.cfAuthToken}`;
+        return headers;
+    };
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const readBody = (req) => new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+
+    // Pass the gateway's response through unchanged, SSE streams included
+    const pipeResponse = (upstream, res) => {
+        const headers = {};
+        for (const name of FORWARDED_HEADERS) {
+            const value = upstream.headers.get(name);
+            if (value) headers[name] = value;
+        }
+        res.writeHead(upstream.status, headers);
+
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        Readable.fromWeb(upstream.body).pipe(res);
+    };
+
+    async function proxyChatCompletion(req, res) {
+        const headers = { 'Content-Type': 'application/json', ...gatewayHeaders() };
+        for (const name of FORWARDED_REQUEST_HEADERS) {
+            if (req.headers[name]) headers[name] = req.headers[name];
+        }
+
+        const upstream = await fetch(`${gatewayUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: await readBody(req)
+        });
+        pipeResponse(upstream, res);
+    }
+
+    async function createRealtimeSession(req, res) {
+        // A malformed page request is the page's fault, not the gateway's
+        let body;
+        try {
+            body = JSON.parse((await readBody(req)) || '{}');
+        } catch (error) {
+            sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error' } });
+            return;
+        }
+        const { model = config.model, voice } = body;
+
+        if (realtimeMode === 'relay') {
+            sendJson(res, 200, { mode: 'relay', url: `${BROKER_PATH}/realtime`, model });
+            return;
+        }
+
+        const upstream = await fetch(`${gatewayUrl}/realtime/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...gatewayHeaders() },
+            body: JSON.stringify({ model, ...(voice ? { voice } : {}) })
+        });
+
+        if (!upstream.ok) {
+            pipeResponse(upstream, res);
+            return;
+        }
+
+        const session = await upstream.json();
+        sendJson(res, 200, {
+            mode: 'token',
+            url: realtimeUrl,
+            model,
+            client_secret: session.client_secret
+        });
+    }
+
+    const routes = {
+        'GET /status': (req, res) => sendJson(res, 200, {
+            configured,
+            realtimeMode,
+            byok: !config.openaiKey,
+            model: config.model
+        }),
+        'POST /chat/completions': proxyChatCompletion,
+        'POST /realtime/sessions': createRealtimeSession
+    };
+
+    // Requests without an Origin come from outside a browser (curl, scripts)
+    // and cannot be forged by another site
+    const isAllowedOrigin = (req) => {
+        const { origin } = req.headers;
+        if (!origin || origin === config.allowOrigin) return true;
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch {
+            return false;
+        }
+    };
+
+    const isJson = (req) => (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+
+    // Connect-style middleware: handles broker routes, passes on everything else
+    async function middleware(req, res, next) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith(`${BROKER_PATH}/`)) {
+            next?.();
+            return;
+        }
+
+        const route = `${req.method} ${pathname.slice(BROKER_PATH.length)}`;
+        const handler = routes[route];
+        if (!handler) {
+            sendJson(res, 404, { error: { message: `No broker route for ${req.method} ${pathname}` } });
+            return;
+        }
+
+        if (!configured && route !== 'GET /status') {
+            sendJson(res, 503, { error: { message: 'Broker is not configured: set CF_ACCOUNT_ID, CF_GATEWAY_ID and OPENAI_API_KEY or CF_AUTH_TOKEN in .env' } });
+            return;
+        }
+
+        if (req.method === 'POST') {
+            if (!isAllowedOrigin(req)) {
+                sendJson(res, 403, { error: { message: `Origin ${req.headers.origin} may not use the broker`, type: 'invalid_request_error' } });
+                return;
+            }
+            if (!isJson(req)) {
+                sendJson(res, 415, { error: { message: 'Request body must be application/json', type: 'invalid_request_error' } });
+                return;
+            }
+        }
+
+        try {
+            await handler(req, res);
+        } catch (error) {
+            sendJson(res, 502, { error: { message: `Gateway request failed: ${error.message}` } });
+        }
+    }
+
+    const wss = new WebSocketServer({
+        noServer: true,
+        handleProtocols: (protocols) => (protocols.has('realtime') ? 'realtime' : false)
+    });
+
+    // Open the upstream socket with server credentials and shuttle events both ways
+    function relay(client, model) {
+        const upstream = new WebSocket(`${realtimeUrl}?model=${encodeURIComponent(model)}`, ['realtime', 'openai-beta.realtime-v1'], {
+            headers: { ...gatewayHeaders(), 'OpenAI-Beta': 'realtime=v1' }
+        });
+
+        // Events the page sends before the gateway answers are held back
+        const pending = [];
+
+        client.on('message', (data, isBinary) => {
+            if (upstream.readyState === WebSocket.OPEN) {
+                upstream.send(data, { binary: isBinary });
+            } else {
+                pending.push([data, isBinary]);
+            }
+        });
+
+        upstream.on('open', () => {
+            for (const [data, isBinary] of pending.splice(0)) {
+                upstream.send(data, { binary: isBinary });
+            }
+        });
+
+        upstream.on('message', (data, isBinary) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(data, { binary: isBinary });
+            }
+        });
+
+        // Rejections surface to the page as a close with a reason, since it
+        // cannot see the gateway's HTTP response
+        upstream.on('unexpected-response', (request, response) => {
+            client.close(4001, `Gateway rejected the connection (HTTP ${response.statusCode})`);
+            request.destroy();
+        });
+
+        upstream.on('error', (error) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.close(1011, `Gateway connection failed: ${error.message}`.slice(0, 120));
+            }
+        });
+
+        // 1005/1006 are reserved and cannot be sent in a close frame
+        const closeCode = (code) => (code === 1005 || code === 1006 ? 1000 : code);
+
+        upstream.on('close', (code, reason) => {
+            if (client.readyState === WebSocket.OPEN) client.close(closeCode(code), reason);
+        });
+        client.on('close', () => {
+            if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+                upstream.terminate();
+            }
+        });
+    }
+
+    // Returns true if the upgrade was for the broker; other upgrades (e.g.
+    // Vite's HMR socket) are left alone
+    function handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== `${BROKER_PATH}/realtime`) {
+            return false;
+        }
+
+        if (!configured || realtimeMode !== 'relay') {
+            socket.end('HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n');
+            return true;
+        }
+
+        if (!isAllowedOrigin(req)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\n\r\n');
+            return true;
+        }
+
+        wss.handleUpgrade(req, socket, head, (client) => {
+            relay(client, url.searchParams.get('model') || config.model);
+        });
+        return true;
+    }
+
+    // Mount on an http.Server that has no other request handler. Pages on
+    // `config.allowOrigin` may call it cross-origin; without it only
+    // same-origin pages can (as on the Vite servers)
+    function attach(server) {
+        const { allowOrigin } = config;
+        server.on('request', (req, res) => {
+            if (allowOrigin) {
+                res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+                res.setHeader('Access-Control-Expose-Headers', FORWARDED_HEADERS.join(', '));
+                res.setHeader('Vary', 'Origin');
+                if (req.method === 'OPTIONS') {
+                    res.writeHead(204, {
+                        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                        'Access-Control-Allow-Headers': ['content-type', ...FORWARDED_REQUEST_HEADERS].join(', '),
+                        'Access-Control-Max-Age': '600'
+                    });
+                    res.end();
+                    return;
+                }
+            }
+
+            middleware(req, res, () => {
+                sendJson(res, 404, { error: { message: 'Not found' } });
+            });
+        });
+        server.on('upgrade', (req, socket, head) => {
+            if (!handleUpgrade(req, socket, head)) socket.destroy();
+        });
+        return server;
+    }
+
+    function close() {
+        for (const client of wss.clients) {
+            client.terminate();
+        }
+    }
+
+    return { middleware, handleUpgrade, attach, close, realtimeMode };
+}
+
+// Vite plugin that serves the broker from the dev and preview servers
+export function brokerPlugin(loadConfig) {
+    const mount = (server) => {
+        const broker = createBroker(loadConfig(server.config.mode));
+        server.middlewares.use(broker.middleware);
+        server.httpServer?.on('upgrade', (req, socket, head) => broker.handleUpgrade(req, socket, head));
+    };
+
+    return {
+        name: 'credential-broker',
+        configureServer: mount,
+        configurePreviewServer: mount
+    };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    // Same .env lookup as the Vite plugin; process.env takes precedence
+    const { loadEnv } = await import('vite');
+    const config = loadBrokerConfig(loadEnv('development', process.cwd(), ''));
+    // The broker holds credentials, so it never answers every origin; by
+    // default it serves the Vite dev server's pages
+    config.allowOrigin ||= 'http://localhost:3000';
+    const broker = createBroker(config);
+    const port = Number(process.env.BROKER_PORT) || 8788;
+
+    broker.attach(http.createServer()).listen(port, () => {
+        console.log(`Credential broker listening on http://localhost:${port}${BROKER_PATH}`);
+        console.log(`  Pages allowed from: ${config.allowOrigin}`);
+        console.log(`  Gateway: ${config.gatewayBaseUrl}/${config.accountId || '<account>'}/${config.gatewayId || '<gateway>'}/openai`);
+        console.log(`  Realtime: ${broker.realtimeMode === 'relay' ? 'WebSocket relay' : 'ephemeral tokens'}`);
+    });
+}
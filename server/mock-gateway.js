@@ -0,0 +1,783 @@
+#!/usr/bin/env node
+
+// Local mock of Cloudflare AI Gateway's OpenAI endpoints for offline testing
+// Implements the routes this repo uses:
+//   POST /v1/:account/:gateway/openai/chat/completions   JSON or SSE (stream: true)
+//   POST /v1/:account/:gateway                           universal endpoint: tries
+//        each { provider, endpoint, headers, query } step in order and reports
+//        the one that answered in cf-aig-step (only OpenAI chat steps can succeed)
+//   POST /v1/:account/:gateway/openai/realtime/sessions  ephemeral realtime keys
+//   WS   /v1/:account/:gateway/openai?model=...          Realtime API events
+// and the gateway's auth rules:
+//   - An authenticated gateway requires cf-aig-authorization, sent as a header
+//     (`cf-aig-authorization: Bearer <token>`) or a WebSocket subprotocol
+//     (`cf-aig-authorization.<token>`).
+//   - The OpenAI key comes from `Authorization: Bearer` or the
+//     `openai-insecure-api-key.<key>` subprotocol, and on WebSocket upgrades
+//     also from an `api_key` query parameter. With BYOK the gateway injects
+//     its stored key when the client sends none.
+// and the gateway cache for chat completions: identical requests (or ones
+// sharing cf-aig-cache-key) are answered from the cache for the gateway's TTL
+// or cf-aig-cache-ttl, cf-aig-skip-cache bypasses it, and cf-aig-cache-status
+// reports HIT or MISS; and gateway rate limiting, answering chat completions
+// over the limit with 429 and Retry-After.
+// Replies are canned by default; pass `respond` to script them.
+//
+// Usage: node server/mock-gateway.js  (see parseEnvOptions() for settings)
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+export const DEFAULT_MOCK_OPTIONS = {
+    // Valid OpenAI key; any other key the client sends is rejected
+    openaiKey: 'sk-mock',
+    // When set, the gateway is authenticated and requires this token
+    cfAuthToken: '',
+    // Key stored in the gateway (BYOK); used when the client sends no key
+    byokKey: '',
+    // Whether BYOK applies to WebSocket upgrades (false reproduces the old bug)
+    byokWebSocket: true,
+    // Whether WebSocket upgrades read the key from an `api_key` query parameter
+    urlApiKey: true,
+    // Gateway cache TTL in seconds; 0 leaves caching to cf-aig-cache-ttl
+    cacheTtl: 0,
+    // Chat completions allowed per rateLimitPeriod seconds; 0 disables the limit
+    rateLimit: 0,
+    rateLimitPeriod: 60,
+    // Script replies: ({ kind, model, messages, tools, instructions }) =>
+    //   string | { content } | { tool_calls: [{ name, arguments }] }
+    respond: null
+};
+
+const ROUTE_PATTERN = /^\/v1\/([^/]+)\/([^/]+)\/openai(\/.*)?$/;
+const UNIVERSAL_PATTERN = /^\/v1\/([^/]+)\/([^/]+)\/?$/;
+
+// Ephemeral realtime keys stay valid for a minute, as with OpenAI
+const EPHEMERAL_KEY_TTL_SECONDS = 60;
+
+// 100 ms of silent 24 kHz PCM16, base64-encoded
+const SILENT_AUDIO = Buffer.alloc(4800).toString('base64');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'cf-aig-log-id, cf-aig-step, cf-aig-cache-status, Retry-After'
+};
+
+const newId = (prefix) => `${prefix}_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+
+const bearer = (value) => (value || '').replace(/^Bearer\s+/i, '');
+
+function defaultRespond({ kind, messages }) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = typeof lastUser?.content === 'string'
+        ? lastUser.content
+        : (lastUser?.content || []).map(part => part.text || part.transcript || '').join(' ');
+
+    return `Mock ${kind} reply: ${text || 'hello'}`;
+}
+
+// Normalize whatever the script returned into { content, tool_calls }
+function normalizeReply(reply) {
+    if (typeof reply === 'string') {
+        return { content: reply, tool_calls: [] };
+    }
+
+    return {
+        content: reply?.content ?? null,
+        tool_calls: (reply?.tool_calls || []).map(call => ({
+            id: call.id || newId('call'),
+            name: call.name,
+            arguments: typeof call.arguments === 'string'
+                ? call.arguments
+                : JSON.stringify(call.arguments ?? {})
+        }))
+    };
+}
+
+// Split text into word-sized chunks the way streamed deltas arrive
+function chunkText(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+}
+
+// Decide whether a request may proceed. `credentials` holds what the client sent.
+// Returns { ok, status, error, openaiKey }. `ephemeralKeys` maps minted
+// realtime keys to their expiry (ms); they are only valid on WebSockets.
+export function checkAuth(options, credentials, { websocket = false, ephemeralKeys = new Map() } = {}) {
+    if (options.cfAuthToken && credentials.cfAuthToken !== options.cfAuthToken) {
+        return {
+            ok: false,
+            status: 401,
+            source: 'gateway',
+            error: credentials.cfAuthToken
+                ? 'Invalid cf-aig-authorization token'
+                : 'Missing cf-aig-authorization for an authenticated gateway'
+        };
+    }
+
+    let openaiKey = credentials.openaiKey;
+    // Stored keys are only injected for authenticated requests
+    const canUseByok = options.byokKey && options.cfAuthToken && (!websocket || options.byokWebSocket);
+    if (!openaiKey && canUseByok) {
+        openaiKey = options.byokKey;
+    }
+
+    if (!openaiKey) {
+        return {
+            ok: false,
+            status: 401,
+            source: 'openai',
+            error: 'You didn\'t provide an API key.'
+        };
+    }
+
+    const ephemeralExpiry = websocket ? ephemeralKeys.get(openaiKey) : undefined;
+    if (ephemeralExpiry !== undefined && ephemeralExpiry < Date.now()) {
+        return {
+            ok: false,
+            status: 401,
+            source: 'openai',
+            error: 'Ephemeral key has expired.'
+        };
+    }
+
+    if (openaiKey !== options.openaiKey && openaiKey !== options.byokKey && ephemeralExpiry === undefined) {
+        return {
+            ok: false,
+            status: 401,
+            source: 'openai',
+            error: 'Incorrect API key provided.'
+        };
+    }
+
+    return { ok: true, openaiKey };
+}
+
+function errorBody(auth) {
+    // The gateway and OpenAI report errors in different envelopes
+    if (auth.source === 'gateway') {
+        return { success: false, result: [], messages: [], error: [{ code: 2009, message: auth.error }] };
+    }
+    return { error: { message: auth.error, type: 'invalid_request_error', code: 'invalid_api_key', param: null } };
+}
+
+export function createMockGateway(userOptions = {}) {
+    const options = { ...DEFAULT_MOCK_OPTIONS, ...userOptions };
+    const respond = options.respond || defaultRespond;
+
+    // Every request and realtime client event, for assertions in tests
+    const requests = [];
+    const ephemeralKeys = new Map();
+    // Cache key → { reply, expires }
+    const cache = new Map();
+    // Fixed rate limiting window
+    const rateWindow = { start: 0, count: 0 };
+
+    // Milliseconds until the window resets when over the limit, else 0
+    const takeRateLimit = () => {
+        if (!options.rateLimit) return 0;
+
+        const now = Date.now();
+        const period = options.rateLimitPeriod * 1000;
+        if (now - rateWindow.start >= period) {
+            rateWindow.start = now;
+            rateWindow.count = 0;
+        }
+        rateWindow.count++;
+        return rateWindow.count > options.rateLimit ? rateWindow.start + period - now : 0;
+    };
+
+    const sendJson = (res, status, body, headers = {}) => {
+        res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    const readBody = (req) => new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+
+    async function handleChatCompletion(req, res) {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error' } });
+            return;
+        }
+
+        const auth = checkAuth(options, {
+            openaiKey: bearer(req.headers['authorization']),
+            cfAuthToken: bearer(req.headers['cf-aig-authorization'])
+        });
+
+        const record = { kind: 'chat', headers: req.headers, body, auth };
+        requests.push(record);
+
+        const retryAfterMs = takeRateLimit();
+        if (retryAfterMs > 0) {
+            record.rateLimited = true;
+            sendJson(res, 429, { success: false, error: [{ code: 2003, message: 'Rate limited' }] }, {
+                'Retry-After': String(Math.ceil(retryAfterMs / 1000))
+            });
+            return;
+        }
+
+        if (!auth.ok) {
+            sendJson(res, auth.status, errorBody(auth));
+            return;
+        }
+
+        // Only successful responses are cached
+        const ttl = Number(req.headers['cf-aig-cache-ttl'] ?? options.cacheTtl) || 0;
+        if (ttl <= 0 || req.headers['cf-aig-skip-cache'] === 'true') {
+            sendCompletion(res, body, await createReply(body));
+            return;
+        }
+
+        const key = req.headers['cf-aig-cache-key'] || JSON.stringify(body);
+        const cached = cache.get(key);
+        record.cacheStatus = cached && cached.expires > Date.now() ? 'HIT' : 'MISS';
+
+        if (record.cacheStatus === 'HIT') {
+            sendCompletion(res, body, cached.reply, { 'cf-aig-cache-status': 'HIT' });
+            return;
+        }
+
+        const reply = await createReply(body);
+        cache.set(key, { reply, expires: Date.now() + ttl * 1000 });
+        sendCompletion(res, body, reply, { 'cf-aig-cache-status': 'MISS' });
+    }
+
+    // Universal endpoint: the first step that authenticates answers
+    async function handleUniversal(req, res) {
+        let steps;
+        try {
+            steps = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error' } });
+            return;
+        }
+
+        if (!Array.isArray(steps) || steps.length === 0) {
+            sendJson(res, 400, { success: false, error: [{ code: 2008, message: 'Expected an array of provider requests' }] });
+            return;
+        }
+
+        const attempts = [];
+        requests.push({ kind: 'universal', headers: req.headers, body: steps, attempts });
+
+        let failure = { status: 400, body: {} };
+        for (const [index, step] of steps.entries()) {
+            const headers = Object.fromEntries(Object.entries(step.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+            const auth = checkAuth(options, {
+                openaiKey: bearer(headers['authorization']),
+                cfAuthToken: bearer(req.headers['cf-aig-authorization'])
+            });
+
+            // Gateway authentication applies to the whole request
+            if (!auth.ok && auth.source === 'gateway') {
+                sendJson(res, auth.status, errorBody(auth));
+                return;
+            }
+
+            if (step.provider !== 'openai' || step.endpoint !== 'chat/completions') {
+                attempts.push({ step: index, status: 400 });
+                failure = { status: 400, body: { error: { message: `The mock only serves openai/chat/completions, not ${step.provider}/${step.endpoint}` } } };
+                continue;
+            }
+
+            attempts.push({ step: index, status: auth.ok ? 200 : auth.status });
+            if (!auth.ok) {
+                failure = { status: auth.status, body: errorBody(auth) };
+                continue;
+            }
+
+            const query = step.query || {};
+            sendCompletion(res, query, await createReply(query), { 'cf-aig-step': String(index) });
+            return;
+        }
+
+        sendJson(res, failure.status, failure.body);
+    }
+
+    async function createReply(body) {
+        return normalizeReply(await respond({
+            kind: 'chat',
+            model: body.model,
+            messages: body.messages || [],
+            tools: body.tools || []
+        }));
+    }
+
+    // Answer an authenticated chat request with `reply`, as JSON or SSE
+    function sendCompletion(res, body, reply, extraHeaders = {}) {
+        const id = newId('chatcmpl');
+        const created = Math.floor(Date.now() / 1000);
+        const finishReason = reply.tool_calls.length > 0 ? 'tool_calls' : 'stop';
+        const gatewayHeaders = { 'cf-aig-log-id': randomUUID(), ...extraHeaders };
+
+        const toolCalls = reply.tool_calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+        }));
+
+        if (!body.stream) {
+            const message = { role: 'assistant', content: reply.content };
+            if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+            sendJson(res, 200, {
+                id,
+                object: 'chat.completion',
+                created,
+                model: body.model,
+                choices: [{ index: 0, message, finish_reason: finishReason }],
+                usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+            }, gatewayHeaders);
+            return;
+        }
+
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            ...gatewayHeaders,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache'
+        });
+
+        const writeChunk = (delta, finish_reason = null) => {
+            res.write(`data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: body.model,
+                choices: [{ index: 0, delta, finish_reason }]
+            })}\n\n`);
+        };
+
+        writeChunk({ role: 'assistant', content: '' });
+        for (const piece of chunkText(reply.content || '')) {
+            writeChunk({ content: piece });
+        }
+        toolCalls.forEach((call, index) => {
+            // Name first, then the arguments in two fragments
+            writeChunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+            const half = Math.ceil(call.function.arguments.length / 2);
+            writeChunk({ tool_calls: [{ index, function: { arguments: call.function.arguments.slice(0, half) } }] });
+            writeChunk({ tool_calls: [{ index, function: { arguments: call.function.arguments.slice(half) } }] });
+        });
+        writeChunk({}, finishReason);
+        res.end('data: [DONE]\n\n');
+    }
+
+    async function handleRealtimeSession(req, res) {
+        const body = JSON.parse((await readBody(req)) || '{}');
+        const auth = checkAuth(options, {
+            openaiKey: bearer(req.headers['authorization']),
+            cfAuthToken: bearer(req.headers['cf-aig-authorization'])
+        });
+
+        requests.push({ kind: 'realtime-session', headers: req.headers, body, auth });
+
+        if (!auth.ok) {
+            sendJson(res, auth.status, errorBody(auth));
+            return;
+        }
+
+        const expiresAt = Math.floor(Date.now() / 1000) + EPHEMERAL_KEY_TTL_SECONDS;
+        const value = newId('ek');
+        ephemeralKeys.set(value, expiresAt * 1000);
+
+        sendJson(res, 200, {
+            id: newId('sess'),
+            object: 'realtime.session',
+            model: body.model,
+            voice: body.voice || 'alloy',
+            client_secret: { value, expires_at: expiresAt }
+        });
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(ROUTE_PATTERN);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        const routes = {
+            '/chat/completions': handleChatCompletion,
+            '/realtime/sessions': handleRealtimeSession
+        };
+        let handler = null;
+        if (req.method === 'POST') {
+            handler = match ? routes[match[3]] : UNIVERSAL_PATTERN.test(url.pathname) && handleUniversal;
+        }
+
+        if (handler) {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                sendJson(res, 500, { error: { message: error.message, type: 'server_error' } });
+            }
+            return;
+        }
+
+        sendJson(res, 404, { error: { message: `No mock route for ${req.method} ${url.pathname}`, type: 'not_found' } });
+    });
+
+    const wss = new WebSocketServer({
+        noServer: true,
+        // Browsers require the server to pick one of the offered subprotocols
+        handleProtocols: (protocols) => (protocols.has('realtime') ? 'realtime' : false)
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(ROUTE_PATTERN);
+
+        const reject = (status, body) => {
+            const payload = JSON.stringify(body);
+            socket.end(
+                `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+                'Content-Type: application/json\r\n' +
+                `Content-Length: ${Buffer.byteLength(payload)}\r\n\r\n${payload}`
+            );
+        };
+
+        if (!match || (match[3] && match[3] !== '/')) {
+            reject(404, { error: { message: `No mock WebSocket route for ${url.pathname}` } });
+            return;
+        }
+
+        const model = url.searchParams.get('model');
+        if (!model) {
+            reject(400, { error: { message: 'Missing required ?model= query parameter' } });
+            return;
+        }
+
+        // Credentials may arrive as subprotocols (browsers) or headers (Node)
+        const protocols = (req.headers['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(protocol => protocol.trim());
+        const fromProtocol = (prefix) => protocols.find(p => p.startsWith(prefix))?.slice(prefix.length) || '';
+
+        const credentials = {
+            openaiKey: fromProtocol('openai-insecure-api-key.')
+                || bearer(req.headers['authorization'])
+                || (options.urlApiKey ? url.searchParams.get('api_key') || '' : ''),
+            cfAuthToken: fromProtocol('cf-aig-authorization.') || bearer(req.headers['cf-aig-authorization'])
+        };
+
+        const auth = checkAuth(options, credentials, { websocket: true, ephemeralKeys });
+        requests.push({ kind: 'realtime', path: `${url.pathname}${url.search}`, headers: req.headers, protocols, model, auth });
+
+        if (!auth.ok) {
+            reject(auth.status, errorBody(auth));
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            new MockRealtimeSession(ws, { model, respond, requests }).start();
+        });
+    });
+
+    return {
+        server,
+        requests,
+        options,
+
+        // Resolves with the base URLs once listening; port 0 picks a free port
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => {
+                    const address = server.address();
+                    const origin = `${address.address}:${address.port}`;
+                    resolve({
+                        port: address.port,
+                        httpUrl: `http://${origin}/v1`,
+                        wsUrl: `ws://${origin}/v1`
+                    });
+                });
+            });
+        },
+
+        close() {
+            for (const client of wss.clients) {
+                client.terminate();
+            }
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+// Server side of one realtime connection: enough of the event protocol for
+// RealtimeClient to run a text or audio turn, including function calls
+class MockRealtimeSession {
+    constructor(ws, { model, respond, requests }) {
+        this.ws = ws;
+        this.respond = respond;
+        this.requests = requests;
+        this.session = {
+            id: newId('sess'),
+            object: 'realtime.session',
+            model,
+            modalities: ['text', 'audio'],
+            instructions: '',
+            voice: 'alloy',
+            input_audio_format: 'pcm16',
+            output_audio_format: 'pcm16',
+            input_audio_transcription: null,
+            turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 200 },
+            tools: [],
+            tool_choice: 'auto',
+            temperature: 0.8,
+            max_response_output_tokens: 'inf'
+        };
+        this.items = [];
+        this.audioBytes = 0;
+    }
+
+    start() {
+        this.ws.on('message', (data) => this.receive(data.toString()));
+        this.send('session.created', { session: this.session });
+    }
+
+    send(type, payload = {}) {
+        this.ws.send(JSON.stringify({ event_id: newId('event'), type, ...payload }));
+    }
+
+    sendError(message, eventId = null) {
+        this.send('error', {
+            error: { type: 'invalid_request_error', code: null, message, param: null, event_id: eventId }
+        });
+    }
+
+    addItem(item, previousItemId = this.items.at(-1)?.id ?? null) {
+        this.items.push(item);
+        this.send('conversation.item.created', { previous_item_id: previousItemId, item });
+    }
+
+    receive(raw) {
+        let event;
+        try {
+            event = JSON.parse(raw);
+        } catch {
+            this.sendError('Invalid JSON');
+            return;
+        }
+
+        this.requests.push({ kind: 'realtime-event', event });
+
+        switch (event.type) {
+            case 'session.update':
+                Object.assign(this.session, event.session);
+                this.send('session.updated', { session: this.session });
+                break;
+
+            case 'conversation.item.create':
+                this.addItem({ id: newId('item'), object: 'realtime.item', status: 'completed', ...event.item });
+                break;
+
+            case 'input_audio_buffer.append':
+                this.audioBytes += Buffer.from(event.audio || '', 'base64').length;
+                break;
+
+            case 'input_audio_buffer.clear':
+                this.audioBytes = 0;
+                this.send('input_audio_buffer.cleared');
+                break;
+
+            case 'input_audio_buffer.commit':
+                this.commitAudio(event.event_id);
+                break;
+
+            case 'response.create':
+                // A throwing `respond` hook must not become an unhandled rejection
+                this.createResponse(event.response || {}).catch(error => this.sendError(error.message, event.event_id));
+                break;
+
+            case 'response.cancel':
+            case 'conversation.item.truncate':
+                break;
+
+            default:
+                this.sendError(`Mock gateway does not handle "${event.type}"`, event.event_id);
+        }
+    }
+
+    commitAudio(eventId) {
+        if (this.audioBytes === 0) {
+            this.sendError('Error committing input audio buffer: buffer is empty', eventId);
+            return;
+        }
+
+        const itemId = newId('item');
+        const previousItemId = this.items.at(-1)?.id ?? null;
+        this.send('input_audio_buffer.committed', { previous_item_id: previousItemId, item_id: itemId });
+        this.addItem({
+            id: itemId,
+            object: 'realtime.item',
+            type: 'message',
+            status: 'completed',
+            role: 'user',
+            content: [{ type: 'input_audio', transcript: null }]
+        }, previousItemId);
+
+        if (this.session.input_audio_transcription) {
+            this.send('conversation.item.input_audio_transcription.completed', {
+                item_id: itemId,
+                content_index: 0,
+                transcript: `(${this.audioBytes / 2} samples of audio)`
+            });
+        }
+        this.audioBytes = 0;
+    }
+
+    // Convert conversation items into chat-style messages for the script
+    toMessages() {
+        return this.items.map((item) => {
+            if (item.type === 'function_call_output') {
+                return { role: 'tool', tool_call_id: item.call_id, content: item.output };
+            }
+            if (item.type === 'function_call') {
+                return { role: 'assistant', tool_calls: [{ id: item.call_id, name: item.name, arguments: item.arguments }] };
+            }
+            return { role: item.role, content: item.content || [] };
+        });
+    }
+
+    async createResponse(overrides) {
+        const modalities = overrides.modalities || this.session.modalities;
+        const reply = normalizeReply(await this.respond({
+            kind: 'realtime',
+            model: this.session.model,
+            messages: this.toMessages(),
+            tools: this.session.tools || [],
+            instructions: overrides.instructions ?? this.session.instructions
+        }));
+
+        const response = { id: newId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+        this.send('response.created', { response });
+
+        let outputIndex = 0;
+
+        if (reply.content) {
+            this.streamMessage(response, outputIndex++, reply.content, modalities.includes('audio'));
+        }
+
+        for (const call of reply.tool_calls) {
+            this.streamFunctionCall(response, outputIndex++, call);
+        }
+
+        response.status = 'completed';
+        response.usage = { total_tokens: 20, input_tokens: 10, output_tokens: 10 };
+        this.send('response.done', { response });
+    }
+
+    streamMessage(response, outputIndex, text, withAudio) {
+        const item = {
+            id: newId('item'),
+            object: 'realtime.item',
+            type: 'message',
+            status: 'in_progress',
+            role: 'assistant',
+            content: []
+        };
+        const ids = { response_id: response.id, item_id: item.id, output_index: outputIndex, content_index: 0 };
+
+        this.send('response.output_item.added', { response_id: response.id, output_index: outputIndex, item });
+        this.addItem(item);
+
+        const part = withAudio ? { type: 'audio', transcript: '' } : { type: 'text', text: '' };
+        this.send('response.content_part.added', { ...ids, part });
+
+        if (withAudio) {
+            for (const piece of chunkText(text)) {
+                this.send('response.audio_transcript.delta', { ...ids, delta: piece });
+            }
+            this.send('response.audio.delta', { ...ids, delta: SILENT_AUDIO });
+            this.send('response.audio.done', ids);
+            this.send('response.audio_transcript.done', { ...ids, transcript: text });
+            part.transcript = text;
+        } else {
+            for (const piece of chunkText(text)) {
+                this.send('response.text.delta', { ...ids, delta: piece });
+            }
+            this.send('response.text.done', { ...ids, text });
+            part.text = text;
+        }
+
+        this.send('response.content_part.done', { ...ids, part });
+
+        item.status = 'completed';
+        item.content = [part];
+        response.output.push(item);
+        this.send('response.output_item.done', { response_id: response.id, output_index: outputIndex, item });
+    }
+
+    streamFunctionCall(response, outputIndex, call) {
+        const item = {
+            id: newId('item'),
+            object: 'realtime.item',
+            type: 'function_call',
+            status: 'in_progress',
+            name: call.name,
+            call_id: call.id,
+            arguments: ''
+        };
+        const ids = { response_id: response.id, item_id: item.id, output_index: outputIndex, call_id: call.id };
+
+        this.send('response.output_item.added', { response_id: response.id, output_index: outputIndex, item });
+        this.addItem(item);
+
+        this.send('response.function_call_arguments.delta', { ...ids, delta: call.arguments });
+        this.send('response.function_call_arguments.done', { ...ids, name: call.name, arguments: call.arguments });
+
+        item.status = 'completed';
+        item.arguments = call.arguments;
+        response.output.push(item);
+        this.send('response.output_item.done', { response_id: response.id, output_index: outputIndex, item });
+    }
+}
+
+// Settings for the CLI, e.g. MOCK_CF_AUTH_TOKEN=secret MOCK_BYOK_KEY=sk-stored
+function parseEnvOptions(env) {
+    return {
+        openaiKey: env.MOCK_OPENAI_KEY || DEFAULT_MOCK_OPTIONS.openaiKey,
+        cfAuthToken: env.MOCK_CF_AUTH_TOKEN || '',
+        byokKey: env.MOCK_BYOK_KEY || '',
+        byokWebSocket: env.MOCK_BYOK_WEBSOCKET !== 'false',
+        urlApiKey: env.MOCK_URL_API_KEY !== 'false',
+        cacheTtl: Number(env.MOCK_CACHE_TTL) || 0,
+        rateLimit: Number(env.MOCK_RATE_LIMIT) || 0,
+        rateLimitPeriod: Number(env.MOCK_RATE_LIMIT_PERIOD) || DEFAULT_MOCK_OPTIONS.rateLimitPeriod
+    };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = parseEnvOptions(process.env);
+    const gateway = createMockGateway(options);
+    const { httpUrl, wsUrl } = await gateway.listen(Number(process.env.PORT) || 8787);
+
+    console.log('Mock Cloudflare AI Gateway listening');
+    console.log(`  HTTP:      ${httpUrl}/<account>/<gateway>/openai/chat/completions`);
+    console.log(`  WebSocket: ${wsUrl}/<account>/<gateway>/openai?model=<model>`);
+    console.log(`  OpenAI key: ${options.openaiKey}`);
+    console.log(`  Authenticated gateway: ${options.cfAuthToken ? 'yes' : 'no'}`);
+    console.log(`  BYOK: ${options.byokKey ? `yes (WebSocket: ${options.byokWebSocket ? 'yes' : 'no'})` : 'no'}`);
+    console.log(`Set "Gateway Base URL" to ${httpUrl} in the app to use it.`);
+
+    process.on('SIGINT', async () => {
+        await gateway.close();
+        process.exit(0);
+    });
+}
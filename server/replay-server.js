@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+// Local WebSocket server that replays a recorded realtime session
+// Every client that connects is sent the server frames of a recording (see
+// src/js/session-recording.js), so pages and tests see a real event stream
+// without the gateway. Playback follows the client: each recorded client
+// frame (audio chunks aside) is waited for before the server frames that
+// followed it are sent, each after its recorded delay divided by `speed`
+// (0 sends them at once). Any path and any credentials are accepted, so the
+// Gateway page works with its Gateway Base URL set to this server.
+//
+// Usage: node server/replay-server.js <recording.json>
+//   PORT (default 8789) and REPLAY_SPEED (default 1) adjust it.
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { parseRecording } from '../src/js/session-recording.js';
+
+export const DEFAULT_REPLAY_OPTIONS = {
+    // Recorded delays are divided by this; 0 replays without waiting
+    speed: 1,
+    // Whether server frames wait for the client frames recorded before them
+    followClient: true
+};
+
+// Client frames that are never waited for: how much audio a live client
+// sends will not match the recording
+const UNMATCHED_CLIENT_TYPES = ['input_audio_buffer.append'];
+
+// Whether a recorded close code is replayed: other codes mean the server
+// ended the session, while 1000 is usually the client hanging up and 1005
+// and 1006 cannot be sent
+const isReplayedCloseCode = (code) => code > 1000 && code !== 1005 && code !== 1006;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createReplayServer(recording, userOptions = {}) {
+    const options = { ...DEFAULT_REPLAY_OPTIONS, ...userOptions };
+    const connections = [];
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'The replay server only accepts WebSocket connections' } }));
+    });
+
+    const wss = new WebSocketServer({
+        noServer: true,
+        // Browsers require the server to pick one of the offered subprotocols
+        handleProtocols: (protocols) => (protocols.has('realtime') ? 'realtime' : false)
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            const connection = new ReplayConnection(ws, recording, options);
+            connections.push(connection);
+            connection.done = connection.run();
+        });
+    });
+
+    return {
+        server,
+        connections,
+        options,
+
+        // Resolves with the base URLs once listening; port 0 picks a free port
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => {
+                    const address = server.address();
+                    const origin = `${address.address}:${address.port}`;
+                    resolve({
+                        port: address.port,
+                        httpUrl: `http://${origin}/v1`,
+                        wsUrl: `ws://${origin}/v1`
+                    });
+                });
+            });
+        },
+
+        close() {
+            for (const client of wss.clients) {
+                client.terminate();
+            }
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+// Plays the recording to one client. `received` holds the client's events
+// and `waitingFor` the recorded client event type playback is blocked on.
+class ReplayConnection {
+    constructor(ws, recording, { speed, followClient }) {
+        this.ws = ws;
+        this.recording = recording;
+        this.speed = speed;
+        this.followClient = followClient;
+        this.received = [];
+        this.sent = 0;
+        this.waitingFor = null;
+        this.closed = false;
+
+        // Client events not yet matched against the recording
+        this.inbox = [];
+        this.wake = null;
+
+        ws.on('message', (data) => {
+            let event;
+            try {
+                event = JSON.parse(data.toString());
+            } catch {
+                event = { type: null, raw: data.toString() };
+            }
+            this.received.push(event);
+            this.inbox.push(event);
+            this.wake?.();
+        });
+
+        ws.on('close', () => {
+            this.closed = true;
+            this.wake?.();
+        });
+    }
+
+    // Resolves once the client sends an event of `type`; events before it
+    // that the recording did not have are skipped
+    async waitFor(type) {
+        this.waitingFor = type;
+        while (!this.closed) {
+            const index = this.inbox.findIndex(event => event.type === type);
+            if (index !== -1) {
+                this.inbox.splice(0, index + 1);
+                break;
+            }
+            await new Promise(resolve => { this.wake = resolve; });
+            this.wake = null;
+        }
+        this.waitingFor = null;
+    }
+
+    async run() {
+        let previous = 0;
+
+        for (const frame of this.recording.frames) {
+            if (this.closed) return;
+
+            if (frame.direction === 'client') {
+                const type = frame.data?.type;
+                if (!this.followClient || UNMATCHED_CLIENT_TYPES.includes(type)) continue;
+                await this.waitFor(type);
+                previous = frame.t;
+                continue;
+            }
+
+            if (this.speed > 0 && frame.t > previous) {
+                await sleep((frame.t - previous) / this.speed);
+            }
+            previous = frame.t;
+            if (this.closed) return;
+
+            this.ws.send(typeof frame.data === 'string' ? frame.data : JSON.stringify(frame.data));
+            this.sent++;
+        }
+
+        const { close } = this.recording;
+        if (close && isReplayedCloseCode(close.code) && !this.closed) {
+            this.ws.close(close.code, close.reason);
+        }
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node server/replay-server.js <recording.json>');
+        process.exit(2);
+    }
+
+    const recording = parseRecording(await readFile(file, 'utf8'));
+    const speed = process.env.REPLAY_SPEED === undefined ? 1 : Number(process.env.REPLAY_SPEED);
+    const replay = createReplayServer(recording, { speed });
+    const { httpUrl, wsUrl } = await replay.listen(Number(process.env.PORT) || 8789);
+
+    const serverFrames = recording.frames.filter(frame => frame.direction === 'server').length;
+    console.log(`Replaying ${file} (${serverFrames} server frames, recorded ${recording.recordedAt})`);
+    console.log(`  WebSocket: ${wsUrl}/<account>/<gateway>/openai?model=<model>`);
+    console.log(`  Speed: ${speed === 0 ? 'no delays' : `${speed}x`}`);
+    console.log(`Set "Gateway Base URL" to ${httpUrl} in the app to use it.`);
+
+    process.on('SIGINT', async () => {
+        await replay.close();
+        process.exit(0);
+    });
+}
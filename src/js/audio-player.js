@@ -0,0 +1,107 @@
+// Gapless PCM16 playback for OpenAI Realtime API audio deltas
+// Each delta is scheduled back-to-back on the AudioContext timeline so chunks
+// play without clicks or gaps, and playback can be cancelled mid-response.
+
+export const REALTIME_SAMPLE_RATE = 24000;
+
+export class PCM16Player {
+    constructor({ sampleRate = REALTIME_SAMPLE_RATE } = {}) {
+        this.sampleRate = sampleRate;
+        this.audioContext = null;
+        this.gainNode = null;
+        this.analyser = null;
+        this.levelData = null;
+        this.sources = new Set();
+        this.nextStartTime = 0;
+        this.currentItemId = null;
+        this.currentItemStartTime = 0;
+    }
+
+    init(audioContext) {
+        this.audioContext = audioContext;
+        this.gainNode = audioContext.createGain();
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.levelData = new Float32Array(this.analyser.fftSize);
+        this.gainNode.connect(this.analyser);
+        this.analyser.connect(audioContext.destination);
+    }
+
+    get isPlaying() {
+        return this.sources.size > 0;
+    }
+
+    // Queue a chunk of mono PCM16 samples (Int16Array) for playback
+    enqueue(samples, itemId = null) {
+        if (!this.audioContext || !samples || samples.length === 0) return;
+
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.sampleRate);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            channel[i] = samples[i] / 0x8000;
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.gainNode);
+
+        // Small lead time so the first chunk is not scheduled in the past
+        const now = this.audioContext.currentTime;
+        const startTime = Math.max(this.nextStartTime, now + 0.02);
+
+        if (itemId !== this.currentItemId) {
+            this.currentItemId = itemId;
+            this.currentItemStartTime = startTime;
+        }
+
+        source.onended = () => {
+            this.sources.delete(source);
+        };
+        source.start(startTime);
+        this.sources.add(source);
+        this.nextStartTime = startTime + buffer.duration;
+    }
+
+    // Stop everything that is playing or scheduled.
+    // Returns the item being played and how many samples of it were heard,
+    // which is what the Realtime API needs to truncate the assistant item.
+    stop() {
+        const interrupted = {
+            itemId: this.currentItemId,
+            sampleCount: 0
+        };
+
+        if (this.audioContext && this.isPlaying) {
+            const elapsed = Math.max(0, this.audioContext.currentTime - this.currentItemStartTime);
+            interrupted.sampleCount = Math.floor(elapsed * this.sampleRate);
+        }
+
+        for (const source of this.sources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Source was never started or already stopped
+            }
+        }
+
+        this.sources.clear();
+        this.nextStartTime = 0;
+        this.currentItemId = null;
+        this.currentItemStartTime = 0;
+
+        return interrupted;
+    }
+
+    // Current output level as RMS in the 0..1 range
+    getLevel() {
+        if (!this.analyser) return 0;
+
+        this.analyser.getFloatTimeDomainData(this.levelData);
+        let sum = 0;
+        for (let i = 0; i < this.levelData.length; i++) {
+            sum += this.levelData[i] * this.levelData[i];
+        }
+        return Math.sqrt(sum / this.levelData.length);
+    }
+}
@@ -0,0 +1,181 @@
+// Microphone capture for the Realtime API
+// The Realtime API expects input_audio_format 'pcm16': 24 kHz, mono,
+// little-endian signed 16-bit samples. Microphones run at whatever rate the
+// hardware picks (usually 44.1 or 48 kHz), so captured audio is resampled
+// here and cut into fixed-size frames before it is sent.
+
+import { REALTIME_SAMPLE_RATE } from './audio-player.js';
+
+// 100 ms of audio per input_audio_buffer.append event
+export const DEFAULT_FRAME_SAMPLES = REALTIME_SAMPLE_RATE / 10;
+
+// AudioContexts that already have the capture worklet module loaded
+const workletContexts = new WeakSet();
+
+// Convert a float sample in [-1, 1] to a signed 16-bit integer
+export function floatToPCM16(sample) {
+    const s = Math.max(-1, Math.min(1, sample));
+    return s < 0 ? Math.round(s * 0x8000) : Math.round(s * 0x7fff);
+}
+
+// Streaming resampler + framer.
+// Feed it Float32Array blocks at the input rate and it returns complete
+// Int16Array frames at the output rate. State carries across calls so block
+// boundaries do not introduce clicks.
+export class PCM16Encoder {
+    constructor({
+        inputSampleRate,
+        outputSampleRate = REALTIME_SAMPLE_RATE,
+        frameSamples = DEFAULT_FRAME_SAMPLES
+    }) {
+        if (!inputSampleRate) {
+            throw new Error('inputSampleRate is required');
+        }
+
+        this.ratio = inputSampleRate / outputSampleRate;
+        this.frameSamples = frameSamples;
+        this.position = 0;
+        this.lastSample = 0;
+        this.frame = new Int16Array(frameSamples);
+        this.frameLength = 0;
+    }
+
+    // Resample one block with linear interpolation; returns completed frames
+    push(input) {
+        const frames = [];
+        const count = input.length;
+        if (count === 0) return frames;
+
+        // Index -1 refers to the last sample of the previous block
+        const sampleAt = (i) => (i < 0 ? this.lastSample : input[i]);
+
+        let position = this.position;
+        while (Math.floor(position) + 1 < count) {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const a = sampleAt(index);
+            const b = sampleAt(index + 1);
+
+            this.frame[this.frameLength++] = floatToPCM16(a + (b - a) * fraction);
+            if (this.frameLength === this.frameSamples) {
+                frames.push(this.frame);
+                this.frame = new Int16Array(this.frameSamples);
+                this.frameLength = 0;
+            }
+
+            position += this.ratio;
+        }
+
+        this.position = position - count;
+        this.lastSample = input[count - 1];
+        return frames;
+    }
+
+    // Return whatever is left in the current partial frame
+    flush() {
+        if (this.frameLength === 0) return null;
+
+        const remainder = this.frame.slice(0, this.frameLength);
+        this.frameLength = 0;
+        return remainder;
+    }
+}
+
+// Captures the microphone through an AudioWorklet and emits PCM16 frames
+export class MicrophoneCapture {
+    constructor(audioContext, { onFrame, frameSamples = DEFAULT_FRAME_SAMPLES } = {}) {
+        this.audioContext = audioContext;
+        this.onFrame = onFrame;
+        this.frameSamples = frameSamples;
+        this.stream = null;
+        this.source = null;
+        this.workletNode = null;
+        this.encoder = null;
+    }
+
+    async start() {
+        if (!workletContexts.has(this.audioContext)) {
+            await this.audioContext.audioWorklet.addModule(
+                new URL('./worklets/pcm-capture-processor.js', import.meta.url)
+            );
+            workletContexts.add(this.audioContext);
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+
+        // From here on a failure must release the microphone again, or the
+        // browser keeps showing it as recording
+        try {
+            this.encoder = new PCM16Encoder({
+                inputSampleRate: this.audioContext.sampleRate,
+                frameSamples: this.frameSamples
+            });
+
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+            // No outputs: the node is a sink, so nothing is echoed to the speakers
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0
+            });
+
+            this.workletNode.port.onmessage = (event) => {
+                if (event.data.type !== 'samples') return;
+
+                for (const frame of this.encoder.push(event.data.samples)) {
+                    this.onFrame(frame);
+                }
+            };
+
+            this.source.connect(this.workletNode);
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+        return this.stream;
+    }
+
+    // Stops capture after draining the worklet, so the tail of speech is not
+    // lost. Also releases a capture that failed part-way through start().
+    async stop() {
+        const { stream, source, workletNode, encoder } = this;
+        if (!stream) return;
+
+        this.stream = null;
+        this.source = null;
+        this.workletNode = null;
+        this.encoder = null;
+
+        if (workletNode) {
+            await new Promise((resolve) => {
+                const timeout = setTimeout(resolve, 500);
+                const previous = workletNode.port.onmessage;
+
+                workletNode.port.onmessage = (event) => {
+                    previous?.(event);
+                    if (event.data.type === 'stopped') {
+                        clearTimeout(timeout);
+                        resolve();
+                    }
+                };
+
+                workletNode.port.postMessage({ type: 'stop' });
+            });
+
+            const remainder = encoder.flush();
+            if (remainder) {
+                this.onFrame(remainder);
+            }
+            workletNode.port.onmessage = null;
+        }
+
+        source?.disconnect();
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
@@ -0,0 +1,105 @@
+// Fallback chain editor for the chat page
+// Each step pairs a saved profile with a provider; steps can be added,
+// reordered and removed, and the chain is saved to the active profile
+// whenever it changes.
+
+import { configManager } from './config.js';
+import { PROVIDERS } from './providers.js';
+
+export function initializeChainUI(manager = configManager) {
+    const chainEnabled = document.getElementById('useFallbackChain');
+    const chainList = document.getElementById('chainList');
+    const addButton = document.getElementById('addChainStep');
+
+    if (!chainList) return;
+
+    const getChain = () => manager.getConfig().fallbackChain || [];
+
+    const saveChain = (chain) => {
+        manager.saveConfig({ fallbackChain: chain });
+        render();
+    };
+
+    const createSelect = (options, value, onChange) => {
+        const select = document.createElement('select');
+        for (const [optionValue, label] of options) {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    };
+
+    const createButton = (text, disabled, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn-link';
+        button.textContent = text;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const render = () => {
+        chainList.innerHTML = '';
+
+        const chain = getChain();
+        const profiles = manager.listProfiles();
+        const providers = Object.entries(PROVIDERS).map(([id, { label }]) => [id, label]);
+
+        chain.forEach((step, index) => {
+            const update = (changes) => saveChain(chain.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+            const move = (offset) => {
+                const reordered = [...chain];
+                [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+                saveChain(reordered);
+            };
+
+            const item = document.createElement('li');
+            item.className = 'tool-item chain-step';
+
+            const number = document.createElement('span');
+            number.className = 'tool-handler';
+            number.textContent = `${index + 1}.`;
+
+            // A profile deleted since the step was added still shows until changed
+            const profileOptions = profiles.includes(step.profile)
+                ? profiles
+                : [...profiles, step.profile];
+
+            item.append(
+                number,
+                createSelect(profileOptions.map(name => [name, name]), step.profile, profile => update({ profile })),
+                createSelect(providers, step.provider, provider => update({ provider })),
+                createButton('Up', index === 0, () => move(-1)),
+                createButton('Down', index === chain.length - 1, () => move(1)),
+                createButton('Remove', false, () => saveChain(chain.filter((_, i) => i !== index)))
+            );
+            chainList.appendChild(item);
+        });
+
+        if (chain.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'tool-item empty';
+            empty.textContent = 'No fallback steps';
+            chainList.appendChild(empty);
+        }
+    };
+
+    if (chainEnabled) {
+        chainEnabled.checked = !!manager.getConfig().useFallbackChain;
+        chainEnabled.addEventListener('change', () => {
+            manager.saveConfig({ useFallbackChain: chainEnabled.checked });
+        });
+    }
+
+    // New steps start from the active profile and the provider picked above
+    addButton.addEventListener('click', () => {
+        const { chatProvider } = manager.getConfig();
+        saveChain([...getChain(), { profile: manager.getActiveProfile(), provider: chatProvider }]);
+    });
+
+    render();
+}
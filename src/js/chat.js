@@ -1,13 +1,83 @@
 // Text Chat Implementation using OpenAI SDK via Cloudflare AI Gateway
 
-import { configManager, initializeConfigUI } from './config.js';
+import {
+    configManager,
+    initializeConfigUI,
+    DEFAULT_CACHE_SETTINGS,
+    DEFAULT_CHAT_PARAMS,
+    DEFAULT_GATEWAY_OPTIONS
+} from './config.js';
+import { ConversationStore, runTurn, titleFor } from './conversation-store.js';
+import { DEFAULT_RETRY_OPTIONS, fetchWithRetry } from './http-client.js';
+import { buildChatRequest, getProvider } from './providers.js';
+import { RequestLog } from './request-log.js';
+import { readSSE } from './sse.js';
+import { ToolRegistry } from './tools.js';
+import { buildUniversalRequest, describeStep, getAnsweringStep, validateFallbackChain } from './universal.js';
+import { initializeChainUI } from './chain-panel.js';
+import { initializeHistoryUI } from './history-panel.js';
+import { initializeInspectorUI } from './inspector-panel.js';
+import { initializeProfileUI } from './profile-panel.js';
+import { initializeToolsUI } from './tools-panel.js';
+import { initializeTranscriptUI } from './transcript-panel.js';
+import { createExport } from './transcript.js';
+
+// Upper bound on model → tool → model round trips for a single user message
+const MAX_TOOL_ROUNDS = 5;
+
+// The open conversation, resumed after a reload of this tab
+const ACTIVE_CONVERSATION_KEY = 'cf_ai_gateway_active_conversation';
+
+// What the gateway reported about a response: its cache status and the
+// log ID to look the request up by in the gateway's logs
+const describeGatewayResponse = (response) => {
+    const status = response.headers.get('cf-aig-cache-status');
+    const logId = response.headers.get('cf-aig-log-id');
+    return (status ? ` · cache ${status}` : '') + (logId ? ` · log ${logId}` : '');
+};
 
 class ChatManager {
     constructor() {
         this.messages = [];
+        // What the page shows, saved with the conversation: [{ type, content, meta }]
+        this.transcript = [];
+        // The saved record of the open conversation, once it has one
+        this.conversation = null;
+        this.store = new ConversationStore();
+        // Every request attempt, for the request inspector
+        this.requestLog = new RequestLog();
         this.isProcessing = false;
         this.initializeElements();
         this.attachEventListeners();
+        this.initializeParameterPanel();
+        this.initializeSettingsPanel(this.cacheInputs, 'cacheSettings', DEFAULT_CACHE_SETTINGS);
+        this.initializeSettingsPanel(this.gatewayOptionInputs, 'gatewayOptions', DEFAULT_GATEWAY_OPTIONS);
+        this.initializeSettingsPanel(this.retryInputs, 'retrySettings', DEFAULT_RETRY_OPTIONS);
+        this.initializeHistory();
+        initializeInspectorUI(this.requestLog);
+
+        initializeTranscriptUI({
+            getExport: () => this.getExport(),
+            onImport: (conversations) => this.importConversations(conversations),
+            onError: (message) => this.addMessage('system', message)
+        });
+    }
+
+    initializeHistory() {
+        this.history = initializeHistoryUI(this.store, {
+            getActiveId: () => this.conversation?.id,
+            onResume: (id) => this.resumeConversation(id),
+            onDelete: (id) => {
+                if (id === this.conversation?.id) this.clearChat();
+            }
+        });
+
+        const activeId = sessionStorage.getItem(ACTIVE_CONVERSATION_KEY);
+        if (activeId) {
+            this.resumeConversation(activeId).catch(error => {
+                console.error('Failed to restore the conversation:', error);
+            });
+        }
     }
 
     initializeElements() {
@@ -16,11 +86,30 @@ class ChatManager {
         this.sendButton = document.getElementById('sendButton');
         this.clearButton = document.getElementById('clearChat');
         this.statusElement = document.getElementById('status');
+        this.streamToggle = document.getElementById('streamResponses');
+        this.providerSelect = document.getElementById('chatProvider');
+        this.resetParamsButton = document.getElementById('resetParams');
+        this.paramInputs = document.querySelectorAll('[data-param]');
+        this.cacheInputs = document.querySelectorAll('[data-setting="cacheSettings"]');
+        this.gatewayOptionInputs = document.querySelectorAll('[data-setting="gatewayOptions"]');
+        this.retryInputs = document.querySelectorAll('[data-setting="retrySettings"]');
+        this.cancelButton = document.getElementById('cancelRequest');
     }
 
     attachEventListeners() {
         this.sendButton.addEventListener('click', () => this.sendMessage());
         this.clearButton.addEventListener('click', () => this.clearChat());
+        this.cancelButton.addEventListener('click', () => this.abortController?.abort());
+        
+        // Persist the streaming toggle immediately; it applies to the next message
+        this.streamToggle.addEventListener('change', () => {
+            configManager.saveConfig({ streamResponses: this.streamToggle.checked });
+        });
+
+        // Switching providers mid-conversation is how replies get compared
+        this.providerSelect?.addEventListener('change', () => {
+            configManager.saveConfig({ chatProvider: this.providerSelect.value });
+        });
         
         this.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -30,208 +119,408 @@ class ChatManager {
         });
     }
 
+    initializeParameterPanel() {
+        const fillInputs = () => {
+            const params = { ...DEFAULT_CHAT_PARAMS, ...configManager.getConfig().chatParams };
+            for (const input of this.paramInputs) {
+                input.value = params[input.dataset.param] ?? '';
+            }
+        };
+
+        // Every edit is saved right away so comparisons survive a reload
+        for (const input of this.paramInputs) {
+            input.addEventListener('change', () => {
+                const chatParams = {};
+                for (const field of this.paramInputs) {
+                    chatParams[field.dataset.param] = field.tagName === 'TEXTAREA'
+                        ? field.value
+                        : field.value.trim();
+                }
+                configManager.saveConfig({ chatParams });
+            });
+        }
+
+        this.resetParamsButton.addEventListener('click', () => {
+            configManager.saveConfig({ chatParams: { ...DEFAULT_CHAT_PARAMS } });
+            fillInputs();
+        });
+
+        fillInputs();
+    }
+
+    // Gateway cache and request options apply to the next request and are
+    // saved right away; each input's data-key names its field in `configKey`
+    initializeSettingsPanel(inputs, configKey, defaults) {
+        const settings = { ...defaults, ...configManager.getConfig()[configKey] };
+
+        for (const input of inputs) {
+            const key = input.dataset.key;
+            if (input.type === 'checkbox') {
+                input.checked = !!settings[key];
+            } else {
+                input.value = settings[key] ?? '';
+            }
+
+            input.addEventListener('change', () => {
+                const values = {};
+                for (const field of inputs) {
+                    if (field.type === 'checkbox') {
+                        values[field.dataset.key] = field.checked;
+                    } else {
+                        values[field.dataset.key] = field.tagName === 'TEXTAREA' ? field.value : field.value.trim();
+                    }
+                }
+                configManager.saveConfig({ [configKey]: values });
+            });
+        }
+    }
+
     async sendMessage() {
         const message = this.messageInput.value.trim();
         if (!message || this.isProcessing) return;
 
         // Validate configuration
-        const validation = configManager.validateConfig();
-        if (!validation.valid) {
-            this.addMessage('system', `Configuration errors: ${validation.errors.join(', ')}`);
+        const config = configManager.getConfig();
+        const errors = config.useFallbackChain
+            ? validateFallbackChain(configManager, config.fallbackChain)
+            : configManager.validateConfig(config.chatProvider).errors;
+        if (errors.length > 0) {
+            this.addMessage('system', `Configuration errors: ${errors.join(', ')}`);
             return;
         }
 
         this.isProcessing = true;
+        this.abortController = new AbortController();
         this.updateStatus('Sending message...');
         this.sendButton.disabled = true;
+        this.cancelButton.hidden = false;
 
         // Add user message to chat
-        this.addMessage('user', message);
-        this.messages.push({ role: 'user', content: message });
+        this.addEntry('user', message);
 
         // Clear input
         this.messageInput.value = '';
 
         try {
-            // Get configuration
-            const config = configManager.getConfig();
-            const baseURL = configManager.getCloudflareBaseUrl();
-            const headers = configManager.getHeaders();
-
-            // Make API call using fetch (since we're in browser)
-            const response = await fetch(`${baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    model: config.model,
-                    messages: this.messages,
-                    temperature: 0.7,
-                    max_tokens: 1000
-                })
+            await runTurn(this.messages, () => {
+                this.messages.push({ role: 'user', content: message });
+                return this.completeTurn();
             });
-
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`API Error: ${response.status} - ${errorData}`);
-            }
-
-            const data = await response.json();
-            
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-                const assistantMessage = data.choices[0].message.content;
-                this.addMessage('assistant', assistantMessage);
-                this.messages.push({ role: 'assistant', content: assistantMessage });
-                this.updateStatus('');
-            } else {
-                throw new Error('Invalid response format');
-            }
+            this.updateStatus('');
 
         } catch (error) {
+            if (this.abortController.signal.aborted) {
+                this.addMessage('system', 'Request cancelled');
+                this.updateStatus('Cancelled');
+                return;
+            }
             console.error('Chat error:', error);
             this.addMessage('system', `Error: ${error.message}`);
             this.updateStatus('Error occurred');
         } finally {
             this.isProcessing = false;
+            this.abortController = null;
             this.sendButton.disabled = false;
+            this.cancelButton.hidden = true;
             this.messageInput.focus();
+            await this.saveConversation();
         }
     }
 
-    addMessage(type, content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${type}`;
-        
-        const messageContent = document.createElement('p');
-        messageContent.textContent = content;
-        messageDiv.appendChild(messageContent);
-        
-        this.messagesContainer.appendChild(messageDiv);
-        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    // Provider and model, or the fallback chain, for the history list
+    describeModel() {
+        const config = configManager.getConfig();
+        if (config.useFallbackChain) {
+            return `Fallback chain (${config.fallbackChain.length} steps)`;
+        }
+
+        const provider = getProvider(config.chatProvider);
+        return `${provider.label} · ${config[provider.modelField]}`;
     }
 
-    clearChat() {
-        this.messages = [];
-        this.messagesContainer.innerHTML = '<div class="message system"><p>Chat cleared. Start a new conversation!</p></div>';
-        this.updateStatus('Chat cleared');
-        setTimeout(() => this.updateStatus(''), 2000);
+    async saveConversation() {
+        if (this.messages.length === 0) return;
+
+        try {
+            this.conversation = await this.store.save({
+                ...this.conversation,
+                model: this.describeModel(),
+                profile: configManager.getActiveProfile(),
+                messages: this.messages,
+                transcript: this.transcript
+            });
+            sessionStorage.setItem(ACTIVE_CONVERSATION_KEY, this.conversation.id);
+            await this.history.render();
+        } catch (error) {
+            console.error('Failed to save the conversation:', error);
+            this.addMessage('system', `Could not save the conversation: ${error.message}`);
+        }
     }
 
-    updateStatus(message) {
-        this.statusElement.textContent = message;
+    getExport() {
+        if (this.messages.length === 0) return null;
+
+        return createExport({
+            kind: 'chat',
+            title: this.conversation?.title || titleFor(this.messages),
+            model: this.conversation?.model || this.describeModel(),
+            profile: configManager.getActiveProfile(),
+            createdAt: this.conversation?.createdAt,
+            messages: this.messages,
+            transcript: this.transcript
+        });
     }
-}
 
-// Alternative implementation using streaming if needed
-class StreamingChatManager extends ChatManager {
-    async sendMessage() {
-        const message = this.messageInput.value.trim();
-        if (!message || this.isProcessing) return;
+    // Imported conversations are saved to the history; the first one is opened
+    async importConversations(conversations) {
+        if (this.isProcessing) return;
 
-        // Validate configuration
-        const validation = configManager.validateConfig();
-        if (!validation.valid) {
-            this.addMessage('system', `Configuration errors: ${validation.errors.join(', ')}`);
+        const saved = [];
+        for (const conversation of conversations) {
+            saved.push(await this.store.save({ ...conversation, model: conversation.model || 'Imported' }));
+        }
+
+        await this.resumeConversation(saved[0].id);
+        if (saved.length > 1) {
+            this.addMessage('system', `Imported ${saved.length} conversations; the others are in the sidebar`);
+        }
+    }
+
+    async resumeConversation(id) {
+        if (this.isProcessing) return;
+
+        const conversation = await this.store.get(id);
+        if (!conversation) {
+            sessionStorage.removeItem(ACTIVE_CONVERSATION_KEY);
             return;
         }
 
-        this.isProcessing = true;
-        this.updateStatus('Sending message...');
-        this.sendButton.disabled = true;
+        this.conversation = conversation;
+        this.messages = structuredClone(conversation.messages);
+        this.transcript = structuredClone(conversation.transcript);
+        sessionStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
 
-        // Add user message to chat
-        this.addMessage('user', message);
-        this.messages.push({ role: 'user', content: message });
+        this.messagesContainer.innerHTML = '';
+        for (const { type, content, meta } of this.transcript) {
+            this.addMessage(type, content, meta);
+        }
+        this.addMessage('system', `Resumed "${conversation.title}" from ${new Date(conversation.updatedAt).toLocaleString()}`);
+        await this.history.render();
+    }
 
-        // Clear input
-        this.messageInput.value = '';
+    // Request completions until the model answers with text instead of tool calls
+    async completeTurn() {
+        const config = configManager.getConfig();
+        const tools = new ToolRegistry(config.toolsEnabled ? config.tools : []);
 
-        try {
-            const config = configManager.getConfig();
-            const baseURL = configManager.getCloudflareBaseUrl();
-            const headers = configManager.getHeaders();
-
-            // Create streaming request
-            const response = await fetch(`${baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    model: config.model,
-                    messages: this.messages,
-                    temperature: 0.7,
-                    max_tokens: 1000,
-                    stream: true
-                })
-            });
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            const assistantMessage = config.streamResponses
+                ? await this.streamCompletion(tools)
+                : await this.requestCompletion(tools);
 
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`API Error: ${response.status} - ${errorData}`);
+            // A reply with neither text nor tool calls is not kept: OpenAI and
+            // Azure reject an assistant message without either, and the other
+            // providers' converters would turn it into an empty turn
+            if (!assistantMessage.content && !assistantMessage.tool_calls?.length) {
+                this.addMessage('system', 'The model sent an empty reply; it was not added to the conversation');
+                return;
             }
 
-            // Handle streaming response
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            
-            // Create assistant message element
-            const messageDiv = document.createElement('div');
-            messageDiv.className = 'message assistant';
-            const messageContent = document.createElement('p');
-            messageDiv.appendChild(messageContent);
-            this.messagesContainer.appendChild(messageDiv);
-            
-            let fullContent = '';
-            
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n').filter(line => line.trim() !== '');
-                
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-                        
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.choices?.[0]?.delta?.content;
-                            if (content) {
-                                fullContent += content;
-                                messageContent.textContent = fullContent;
-                                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
-                            }
-                        } catch (e) {
-                            console.error('Failed to parse streaming data:', e);
-                        }
-                    }
-                }
+            this.messages.push(assistantMessage);
+
+            if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+                return;
             }
-            
-            if (fullContent) {
-                this.messages.push({ role: 'assistant', content: fullContent });
-                this.updateStatus('');
+
+            for (const toolCall of assistantMessage.tool_calls) {
+                const { name, arguments: args } = toolCall.function;
+                this.updateStatus(`Running tool ${name}...`);
+
+                const result = await tools.call(name, args);
+                this.addEntry('tool', `🔧 ${name}(${args}) → ${JSON.stringify(result)}`);
+                this.messages.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: JSON.stringify(result)
+                });
             }
 
-        } catch (error) {
-            console.error('Chat error:', error);
-            this.addMessage('system', `Error: ${error.message}`);
-            this.updateStatus('Error occurred');
-        } finally {
-            this.isProcessing = false;
-            this.sendButton.disabled = false;
-            this.messageInput.focus();
+            this.updateStatus('Sending tool results...');
+        }
+
+        throw new Error(`Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls`);
+    }
+
+    // Send the conversation to the selected provider, translated to its
+    // schema, or to the fallback chain; the reply is parsed by the provider
+    // that answered
+    async postCompletion(tools, { stream = false } = {}) {
+        const config = configManager.getConfig();
+        const options = { messages: this.messages, tools: tools.getChatDefinitions(), stream };
+
+        if (config.useFallbackChain) {
+            const { url, headers, body, steps } = buildUniversalRequest(configManager, config.fallbackChain, options);
+            const response = await this.post(url, headers, body);
+            // An unrecognised step is parsed as the first step's reply
+            const index = getAnsweringStep(response, steps);
+
+            return {
+                response,
+                provider: getProvider(steps[index ?? 0].provider),
+                label: describeStep(steps, index) + describeGatewayResponse(response)
+            };
+        }
+
+        const { url, headers, body, model } = buildChatRequest(configManager, config.chatProvider, options);
+        const response = await this.post(url, headers, body);
+        const provider = getProvider(config.chatProvider);
+        return { response, provider, label: `${provider.label} · ${model}${describeGatewayResponse(response)}` };
+    }
+
+    // Rate-limited and failed requests are retried; the status bar shows the
+    // wait and the request inspector each attempt
+    post(url, headers, body) {
+        return fetchWithRetry(url, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(body)
+        }, {
+            ...configManager.getRetryOptions(),
+            signal: this.abortController.signal,
+            fetch: (requestUrl, init) => this.requestLog.fetch(requestUrl, init),
+            onRetry: ({ attempt, maxRetries, delayMs, status }) => {
+                const reason = status === 429 ? 'Rate limited (429)'
+                    : status ? `Server error (${status})`
+                    : 'Network error';
+                this.updateStatus(`${reason}, retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${maxRetries})...`);
+            }
+        });
+    }
+
+    async requestCompletion(tools) {
+        const { response, provider, label } = await this.postCompletion(tools);
+        const message = provider.parseResponse(await response.json());
+
+        if (message.content) {
+            this.addEntry('assistant', message.content, label);
+        }
+
+        const assistantMessage = { role: 'assistant', content: message.content ?? null };
+        if (message.tool_calls?.length) {
+            assistantMessage.tool_calls = message.tool_calls;
+        }
+        return assistantMessage;
+    }
+
+    async streamCompletion(tools) {
+        const { response, provider, label } = await this.postCompletion(tools, { stream: true });
+
+        // Create assistant message element and fill it as deltas arrive
+        const messageContent = this.addMessage('assistant', '', label);
+        let fullContent = '';
+
+        // Tool call fragments arrive keyed by index and must be stitched together
+        const toolCalls = [];
+        // Per-stream parser state for providers that number calls themselves
+        const streamState = {};
+
+        for await (const data of readSSE(response)) {
+            if (data === '[DONE]') break;
+
+            let delta;
+            try {
+                delta = provider.parseStreamEvent(JSON.parse(data), streamState);
+            } catch (e) {
+                // Malformed chunks are skipped; provider error events end the turn
+                if (!(e instanceof SyntaxError)) throw e;
+                console.error('Failed to parse streaming data:', e);
+                continue;
+            }
+            if (!delta) continue;
+
+            if (delta.content) {
+                fullContent += delta.content;
+                messageContent.textContent = fullContent;
+                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+            }
+
+            for (const fragment of delta.tool_calls || []) {
+                const toolCall = toolCalls[fragment.index] ??= {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                };
+                if (fragment.id) toolCall.id = fragment.id;
+                if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+                if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+            }
+        }
+
+        // Without text the bubble goes; completeTurn() reports an empty reply
+        if (fullContent) {
+            this.transcript.push({ type: 'assistant', content: fullContent, meta: label });
+        } else {
+            messageContent.parentElement.remove();
+        }
+
+        const assistantMessage = { role: 'assistant', content: fullContent || null };
+        const completedCalls = toolCalls.filter(Boolean);
+        if (completedCalls.length > 0) {
+            assistantMessage.tool_calls = completedCalls;
+        }
+        return assistantMessage;
+    }
+
+    // Show a message and keep it in the saved transcript
+    addEntry(type, content, meta = '') {
+        this.transcript.push({ type, content, meta });
+        return this.addMessage(type, content, meta);
+    }
+
+    // `meta` names the provider and model that produced an assistant reply,
+    // whether it came from the gateway cache and its gateway log ID
+    addMessage(type, content, meta = '') {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+
+        if (meta) {
+            const metaElement = document.createElement('span');
+            metaElement.className = 'message-meta';
+            metaElement.textContent = meta;
+            messageDiv.appendChild(metaElement);
         }
+        
+        const messageContent = document.createElement('p');
+        messageContent.textContent = content;
+        messageDiv.appendChild(messageContent);
+        
+        this.messagesContainer.appendChild(messageDiv);
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        return messageContent;
+    }
+
+    // Start a new conversation; the current one stays in the history
+    clearChat() {
+        this.messages = [];
+        this.transcript = [];
+        this.conversation = null;
+        sessionStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+        this.messagesContainer.innerHTML = '<div class="message system"><p>Chat cleared. Start a new conversation!</p></div>';
+        this.updateStatus('Chat cleared');
+        setTimeout(() => this.updateStatus(''), 2000);
+        this.history.render();
+    }
+
+    updateStatus(message) {
+        this.statusElement.textContent = message;
     }
 }
 
 // Initialize chat manager when page loads
-let chatManager;
-
 document.addEventListener('DOMContentLoaded', () => {
-    // Use streaming version if you want streaming responses
-    // chatManager = new StreamingChatManager();
-    
-    // Use regular version for simpler implementation
-    chatManager = new ChatManager();
+    initializeProfileUI(configManager);
+    initializeConfigUI(configManager);
+    initializeToolsUI(configManager);
+    initializeChainUI(configManager);
+    new ChatManager();
 });
\ No newline at end of file
@@ -1,82 +1,744 @@
 // Configuration Management for Cloudflare AI Gateway
 
+import { DEFAULT_RETRY_OPTIONS } from './http-client.js';
+import { PROVIDERS, getProvider } from './providers.js';
+import { decryptSecrets, encryptSecrets } from './secure-storage.js';
+import { DEFAULT_SESSION_SETTINGS } from './session-settings.js';
+import { DEFAULT_TOOLS } from './tools.js';
+
+// Chat Completions request parameters; '' means "leave it to the API default"
+export const DEFAULT_CHAT_PARAMS = {
+    temperature: 0.7,
+    top_p: '',
+    max_tokens: 1000,
+    presence_penalty: '',
+    frequency_penalty: '',
+    stop: '',
+    seed: '',
+    response_format: 'text'
+};
+
+// Per-request gateway cache controls; '' leaves the gateway's own setting
+export const DEFAULT_CACHE_SETTINGS = {
+    ttl: '',
+    skipCache: false,
+    cacheKey: ''
+};
+
+// Gateway request options; metadata is "key=value" lines sent as
+// cf-aig-metadata, '' leaves the other options to the gateway
+export const DEFAULT_GATEWAY_OPTIONS = {
+    metadata: '',
+    requestTimeout: '',
+    maxAttempts: '',
+    retryDelay: '',
+    backoff: ''
+};
+
+// Gateway option → request header
+const GATEWAY_OPTION_HEADERS = {
+    requestTimeout: 'cf-aig-request-timeout',
+    maxAttempts: 'cf-aig-max-attempts',
+    retryDelay: 'cf-aig-retry-delay',
+    backoff: 'cf-aig-backoff'
+};
+
+// The gateway accepts at most this many metadata entries per request
+const MAX_METADATA_ENTRIES = 5;
+
+// Parse "key=value" lines; lines without a key are returned as invalid
+function parseMetadata(text) {
+    const metadata = {};
+    const invalid = [];
+
+    for (const line of String(text || '').split('\n')) {
+        if (!line.trim()) continue;
+
+        const separator = line.indexOf('=');
+        const key = line.slice(0, separator).trim();
+        if (separator < 0 || !key) {
+            invalid.push(line.trim());
+            continue;
+        }
+        metadata[key] = line.slice(separator + 1).trim();
+    }
+
+    return { metadata, invalid };
+}
+
+export const DEFAULT_GATEWAY_BASE_URL = 'https://gateway.ai.cloudflare.com/v1';
+
+// Served by the dev and preview servers (server/broker.js)
+export const DEFAULT_BROKER_URL = '/api/broker';
+
+export const DEFAULT_CONFIG = {
+    accountId: '',
+    gatewayId: '',
+    // Override to point the app at another gateway, e.g. the local mock
+    // (npm run mock-gateway) at http://127.0.0.1:8787/v1
+    gatewayBaseUrl: '',
+    // 'key': the browser sends the OpenAI key; 'byok': the gateway injects the
+    // key stored in it (BYOK) and only cf-aig-authorization is sent;
+    // 'broker': the broker at brokerUrl holds every credential and the
+    // browser sends none
+    authMode: 'key',
+    brokerUrl: '',
+    // Where openaiKey and cfAuthToken are kept: 'plain' (localStorage with
+    // the rest), 'session' (this tab only) or 'encrypted' (localStorage,
+    // encrypted with a passphrase, and decrypted only into this page's memory)
+    secretStorage: 'plain',
+    openaiKey: '',
+    cfAuthToken: '',
+    useAuthGateway: false,
+    model: 'gpt-4o-mini',
+    realtimeModel: 'gpt-4o-mini-realtime-preview',
+    // Chat page provider (see providers.js) and the other providers' settings
+    chatProvider: 'openai',
+    anthropicKey: '',
+    anthropicModel: 'claude-3-5-haiku-latest',
+    workersAiToken: '',
+    workersAiModel: '@cf/meta/llama-3.1-8b-instruct',
+    azureKey: '',
+    azureResource: '',
+    azureDeployment: '',
+    azureApiVersion: '2024-10-21',
+    googleKey: '',
+    googleModel: 'gemini-2.0-flash',
+    // Chat page fallback chain sent through the universal endpoint (see
+    // universal.js): [{ profile, provider }], tried in order
+    useFallbackChain: false,
+    fallbackChain: [],
+    voice: 'alloy',
+    streamResponses: false,
+    chatParams: { ...DEFAULT_CHAT_PARAMS },
+    cacheSettings: { ...DEFAULT_CACHE_SETTINGS },
+    gatewayOptions: { ...DEFAULT_GATEWAY_OPTIONS },
+    // Client-side retries of 429 and 5xx responses (see http-client.js)
+    retrySettings: { ...DEFAULT_RETRY_OPTIONS },
+    sessionSettings: { ...DEFAULT_SESSION_SETTINGS },
+    toolsEnabled: false,
+    tools: DEFAULT_TOOLS
+};
+
+// Minimal Storage stand-in for Node (tests and scripts have no localStorage)
+export function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+function getDefaultStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage();
+}
+
+function getDefaultSessionStorage() {
+    return typeof sessionStorage !== 'undefined' ? sessionStorage : createMemoryStorage();
+}
+
+// Config keys holding a provider API key
+const PROVIDER_KEY_FIELDS = Object.values(PROVIDERS).map(provider => provider.keyField);
+
+// Config keys that are credentials and follow the secretStorage setting
+export const SECRET_KEYS = [...PROVIDER_KEY_FIELDS, 'cfAuthToken'];
+
+// Keys a profile saved in `authMode` no longer keeps in the browser, since the
+// gateway (BYOK) or the broker holds them. BYOK leaves the OpenAI key: the
+// profile is shared with the direct page, which reaches OpenAI without the gateway.
+export function getClearedSecretKeys(authMode) {
+    return {
+        byok: PROVIDER_KEY_FIELDS.filter(key => key !== 'openaiKey'),
+        broker: SECRET_KEYS
+    }[authMode] || [];
+}
+
+export const LOCKED_SECRETS_ERROR = 'Saved keys are locked: enter your passphrase and save to unlock them';
+
+export const DEFAULT_PROFILE = 'Default';
+
+// Each named profile is a complete config saved under its own key; the
+// default profile keeps the original key so existing settings carry over
 export class ConfigManager {
-    constructor() {
-        this.storageKey = 'cf_ai_gateway_config';
+    constructor(
+        storageKey = 'cf_ai_gateway_config',
+        defaults = DEFAULT_CONFIG,
+        storage = getDefaultStorage(),
+        sessionStore = getDefaultSessionStorage()
+    ) {
+        this.baseKey = storageKey;
+        this.profilesKey = `${storageKey}_profiles`;
+        this.defaults = defaults;
+        this.storage = storage;
+        this.sessionStore = sessionStore;
+        // Unlocked encrypted keys; never written anywhere, so they last until
+        // the page unloads
+        this.memoryStore = createMemoryStorage();
+        this.useProfile(this.loadProfileIndex().active);
+    }
+
+    // Point the manager at a profile's storage and load it
+    useProfile(name) {
+        this.activeProfile = name;
+        this.storageKey = this.getProfileKey(name);
+        this.secretsKey = `${this.storageKey}_secrets`;
+        // Encrypted secrets as saved, and the passphrase once entered in this page
+        this.encryptedSecrets = null;
+        this.passphrase = null;
         this.config = this.loadConfig();
     }
 
     loadConfig() {
-        const saved = localStorage.getItem(this.storageKey);
+        let config = { ...this.defaults };
+
+        const saved = this.storage.getItem(this.storageKey);
         if (saved) {
             try {
-                return JSON.parse(saved);
+                const { encryptedSecrets = null, ...values } = JSON.parse(saved);
+                this.encryptedSecrets = encryptedSecrets;
+                // Merge over defaults so settings added later get sensible values
+                config = { ...this.defaults, ...values };
             } catch (e) {
                 console.error('Failed to parse saved config:', e);
             }
         }
-        return {
-            accountId: '',
-            gatewayId: '',
-            openaiKey: '',
-            cfAuthToken: '',
-            useAuthGateway: false,
-            model: 'gpt-4o-mini',
-            voice: 'alloy'
-        };
+
+        if (this.getSecretStorage(config) !== 'plain') {
+            Object.assign(config, this.loadSecrets(config));
+        }
+        return config;
+    }
+
+    loadSecrets(config = this.config) {
+        try {
+            return JSON.parse(this.getSecretStore(config).getItem(this.secretsKey)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    getSecretStorage(config = this.config) {
+        return config.secretStorage || 'plain';
+    }
+
+    // Where the keys kept out of localStorage live: sessionStorage for
+    // session-only keys, memory for decrypted ones
+    getSecretStore(config = this.config) {
+        return this.getSecretStorage(config) === 'encrypted' ? this.memoryStore : this.sessionStore;
+    }
+
+    pickSecrets(config = this.config) {
+        return Object.fromEntries(SECRET_KEYS.filter(key => key in config).map(key => [key, config[key]]));
+    }
+
+    // Write the config; secrets only go to localStorage in 'plain' mode
+    persist() {
+        const mode = this.getSecretStorage();
+        const values = { ...this.config };
+
+        // Drop the keys from wherever the previous mode kept them
+        for (const store of [this.sessionStore, this.memoryStore]) {
+            if (mode === 'plain' || store !== this.getSecretStore()) {
+                store.removeItem(this.secretsKey);
+            }
+        }
+        if (mode !== 'plain') {
+            for (const key of SECRET_KEYS) delete values[key];
+            if (!this.isLocked()) {
+                this.getSecretStore().setItem(this.secretsKey, JSON.stringify(this.pickSecrets()));
+            }
+        }
+
+        if (mode === 'encrypted' && this.encryptedSecrets) {
+            values.encryptedSecrets = this.encryptedSecrets;
+        }
+
+        this.storage.setItem(this.storageKey, JSON.stringify(values));
     }
 
     saveConfig(updates) {
         this.config = { ...this.config, ...updates };
-        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        this.persist();
+        return this.config;
+    }
+
+    // Encrypted keys that have not been unlocked in this page yet
+    isLocked() {
+        return this.getSecretStorage() === 'encrypted'
+            && Boolean(this.encryptedSecrets)
+            && this.memoryStore.getItem(this.secretsKey) === null;
+    }
+
+    async unlock(passphrase) {
+        if (!this.encryptedSecrets) {
+            return this.config;
+        }
+
+        const secrets = await decryptSecrets(this.encryptedSecrets, passphrase);
+        this.passphrase = passphrase;
+        this.config = { ...this.config, ...secrets };
+        this.memoryStore.setItem(this.secretsKey, JSON.stringify(this.pickSecrets()));
         return this.config;
     }
 
+    // Forget the decrypted keys in this page; they stay saved encrypted
+    lock() {
+        this.memoryStore.removeItem(this.secretsKey);
+        this.passphrase = null;
+        for (const key of SECRET_KEYS) {
+            if (key in this.config) this.config[key] = '';
+        }
+    }
+
+    // Save updates that may include secrets or a new secretStorage mode.
+    // Encrypting needs the passphrase, either given here or entered earlier
+    // in this page; a locked config has to be unlocked first.
+    async saveSecure(updates, passphrase = '') {
+        if (this.isLocked()) {
+            if (!passphrase) {
+                throw new Error(LOCKED_SECRETS_ERROR);
+            }
+            await this.unlock(passphrase);
+        }
+
+        const mode = this.getSecretStorage({ ...this.config, ...updates });
+        const key = passphrase || this.passphrase;
+        if (mode === 'encrypted' && !key) {
+            throw new Error('Enter a passphrase to encrypt your keys');
+        }
+
+        const config = { ...this.config, ...updates };
+        this.encryptedSecrets = mode === 'encrypted' ? await encryptSecrets(this.pickSecrets(config), key) : null;
+        this.passphrase = mode === 'encrypted' ? key : null;
+        if (mode === 'encrypted') {
+            // Just encrypted here, so already unlocked in this page
+            this.memoryStore.setItem(this.secretsKey, JSON.stringify(this.pickSecrets(config)));
+        }
+
+        return this.saveConfig(updates);
+    }
+
     getConfig() {
         return this.config;
     }
 
-    getCloudflareBaseUrl() {
+    getProfileKey(name) {
+        return name === DEFAULT_PROFILE ? this.baseKey : `${this.baseKey}:${name}`;
+    }
+
+    loadProfileIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(this.profilesKey));
+            if (index?.names?.includes(index.active)) {
+                return index;
+            }
+        } catch (e) {
+            console.error('Failed to parse saved profiles:', e);
+        }
+        return { active: DEFAULT_PROFILE, names: [DEFAULT_PROFILE] };
+    }
+
+    saveProfileIndex(index) {
+        this.storage.setItem(this.profilesKey, JSON.stringify(index));
+    }
+
+    listProfiles() {
+        return this.loadProfileIndex().names;
+    }
+
+    getActiveProfile() {
+        return this.activeProfile;
+    }
+
+    // A profile's values as saved, without the defaults filled in
+    readProfile(name) {
+        try {
+            return JSON.parse(this.storage.getItem(this.getProfileKey(name))) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    // A separate manager reading another profile, sharing this one's storage;
+    // the active profile is left alone
+    forProfile(name) {
+        if (name === this.activeProfile) {
+            return this;
+        }
+        if (!this.listProfiles().includes(name)) {
+            throw new Error(`No profile named "${name}"`);
+        }
+
+        const manager = Object.create(Object.getPrototypeOf(this));
+        Object.assign(manager, {
+            baseKey: this.baseKey,
+            profilesKey: this.profilesKey,
+            defaults: this.defaults,
+            storage: this.storage,
+            sessionStore: this.sessionStore,
+            memoryStore: this.memoryStore
+        });
+        manager.useProfile(name);
+        return manager;
+    }
+
+    switchProfile(name) {
+        const index = this.loadProfileIndex();
+        if (!index.names.includes(name)) {
+            throw new Error(`No profile named "${name}"`);
+        }
+
+        this.saveProfileIndex({ ...index, active: name });
+        this.useProfile(name);
+        return this.config;
+    }
+
+    createProfile(name, values = {}) {
+        const index = this.loadProfileIndex();
+        const profileName = String(name || '').trim();
+
+        if (!profileName) {
+            throw new Error('Profile name is required');
+        }
+        if (index.names.includes(profileName)) {
+            throw new Error(`A profile named "${profileName}" already exists`);
+        }
+
+        this.storage.setItem(this.getProfileKey(profileName), JSON.stringify(values));
+        this.saveProfileIndex({ ...index, names: [...index.names, profileName] });
+        return profileName;
+    }
+
+    // Copies everything, including saved, session-only and unlocked keys
+    cloneProfile(name, newName) {
+        const profileName = this.createProfile(newName, this.readProfile(name));
+
+        for (const store of [this.sessionStore, this.memoryStore]) {
+            const secrets = store.getItem(`${this.getProfileKey(name)}_secrets`);
+            if (secrets !== null) {
+                store.setItem(`${this.getProfileKey(profileName)}_secrets`, secrets);
+            }
+        }
+        return profileName;
+    }
+
+    deleteProfile(name) {
+        const index = this.loadProfileIndex();
+        if (!index.names.includes(name)) {
+            throw new Error(`No profile named "${name}"`);
+        }
+        if (index.names.length === 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+
+        const key = this.getProfileKey(name);
+        this.storage.removeItem(key);
+        this.sessionStore.removeItem(`${key}_secrets`);
+        this.memoryStore.removeItem(`${key}_secrets`);
+
+        const names = index.names.filter(profile => profile !== name);
+        const active = index.active === name ? names[0] : index.active;
+        this.saveProfileIndex({ active, names });
+
+        if (this.activeProfile === name) {
+            this.useProfile(active);
+        }
+    }
+
+    // Profiles as JSON for sharing; keys are never exported
+    exportProfiles(names = this.listProfiles()) {
+        const profiles = {};
+        for (const name of names) {
+            const { encryptedSecrets, ...values } = this.readProfile(name);
+            for (const key of SECRET_KEYS) delete values[key];
+            profiles[name] = values;
+        }
+        return JSON.stringify({ version: 1, profiles }, null, 2);
+    }
+
+    // Adds the profiles from exportProfiles(); clashing names get a suffix.
+    // Returns the names they were saved under.
+    importProfiles(json) {
+        const { profiles } = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!profiles || typeof profiles !== 'object') {
+            throw new Error('Not a profile export: missing "profiles"');
+        }
+
+        return Object.entries(profiles).map(([name, values]) => {
+            const { encryptedSecrets, ...settings } = values || {};
+            for (const key of SECRET_KEYS) delete settings[key];
+
+            return this.createProfile(this.getUnusedProfileName(name), settings);
+        });
+    }
+
+    getUnusedProfileName(name) {
+        const names = this.listProfiles();
+        let profileName = name;
+        for (let n = 2; names.includes(profileName); n++) {
+            profileName = `${name} (${n})`;
+        }
+        return profileName;
+    }
+
+    // Turn a config saved under another key (e.g. by an older page) into a
+    // profile, then drop the old key. If nothing else was ever set up (only
+    // the default profile, never saved) the new profile becomes the active
+    // one, so the older page still opens with its settings. Returns the new
+    // profile's name.
+    adoptLegacyConfig(legacyKey, profileName, mapValues = values => values) {
+        const saved = this.storage.getItem(legacyKey);
+        if (saved === null) return null;
+
+        let values;
+        try {
+            values = mapValues(JSON.parse(saved));
+        } catch (e) {
+            console.error('Failed to parse legacy config:', e);
+            return null;
+        }
+
+        const untouched = this.listProfiles().length === 1
+            && this.storage.getItem(this.getProfileKey(this.activeProfile)) === null;
+
+        const name = this.createProfile(this.getUnusedProfileName(profileName), values);
+        this.storage.removeItem(legacyKey);
+        if (untouched) {
+            this.switchProfile(name);
+        }
+        return name;
+    }
+
+    getGatewayBaseUrl() {
+        return (this.config.gatewayBaseUrl || DEFAULT_GATEWAY_BASE_URL).replace(/\/+$/, '');
+    }
+
+    // Absolute broker URL; a relative one resolves against the page
+    getBrokerUrl() {
+        const brokerUrl = (this.config.brokerUrl || DEFAULT_BROKER_URL).replace(/\/+$/, '');
+        if (/^https?:\/\//.test(brokerUrl)) {
+            return brokerUrl;
+        }
+        if (typeof location === 'undefined') {
+            throw new Error('An absolute broker URL is required outside the browser');
+        }
+        return new URL(brokerUrl, location.href).toString().replace(/\/+$/, '');
+    }
+
+    // Gateway URL for one provider, e.g. .../{account}/{gateway}/anthropic
+    getGatewayUrl(segment = 'openai') {
+        // The broker proxies the OpenAI /chat/completions path to the gateway
+        if (this.isBrokerMode()) {
+            if (segment !== 'openai') {
+                throw new Error('Server-brokered mode only supports the OpenAI provider');
+            }
+            return this.getBrokerUrl();
+        }
+
+        return `${this.getUniversalUrl()}/${segment}`;
+    }
+
+    // The gateway's universal endpoint, .../{account}/{gateway}
+    getUniversalUrl() {
+        if (this.isBrokerMode()) {
+            throw new Error('Server-brokered mode does not support the universal endpoint');
+        }
+
         const { accountId, gatewayId } = this.config;
         if (!accountId || !gatewayId) {
             throw new Error('Cloudflare Account ID and Gateway ID are required');
         }
-        return `https://gateway.ai.cloudflare.com/v1/${accountId}/${gatewayId}/openai`;
+        return `${this.getGatewayBaseUrl()}/${accountId}/${gatewayId}`;
     }
 
+    getCloudflareBaseUrl() {
+        return this.getGatewayUrl('openai');
+    }
+
+    // Realtime WebSocket URL, without the ?model= the transport appends. The
+    // gateway serves OpenAI Realtime at .../openai itself: .../openai/realtime
+    // is not a gateway route, and only OpenAI has a realtime endpoint.
     getWebSocketUrl() {
-        const { accountId, gatewayId } = this.config;
-        if (!accountId || !gatewayId) {
-            throw new Error('Cloudflare Account ID and Gateway ID are required');
+        if (this.isBrokerMode()) {
+            return `${this.getBrokerUrl().replace(/^http/, 'ws')}/realtime`;
+        }
+
+        return this.getGatewayUrl('openai').replace(/^http/, 'ws');
+    }
+
+    // fetchWithRetry() options from the retry settings; blank fields use the defaults
+    getRetryOptions() {
+        const options = { ...DEFAULT_RETRY_OPTIONS };
+
+        for (const [key, value] of Object.entries(this.config.retrySettings || {})) {
+            if (key in options && value !== '' && value !== null && !Number.isNaN(Number(value))) {
+                options[key] = Number(value);
+            }
+        }
+        return options;
+    }
+
+    // Build the sampling/format part of a Chat Completions request body
+    getChatRequestParams() {
+        const params = { ...DEFAULT_CHAT_PARAMS, ...this.config.chatParams };
+        const body = {};
+
+        for (const key of ['temperature', 'top_p', 'presence_penalty', 'frequency_penalty']) {
+            if (params[key] !== '' && params[key] !== null) {
+                body[key] = Number(params[key]);
+            }
+        }
+
+        for (const key of ['max_tokens', 'seed']) {
+            if (params[key] !== '' && params[key] !== null) {
+                body[key] = parseInt(params[key], 10);
+            }
+        }
+
+        // One stop sequence per line; the API accepts up to four
+        const stop = String(params.stop || '')
+            .split('\n')
+            .filter(sequence => sequence !== '');
+        if (stop.length > 0) {
+            body.stop = stop.slice(0, 4);
+        }
+
+        if (params.response_format && params.response_format !== 'text') {
+            body.response_format = { type: params.response_format };
+        }
+
+        return body;
+    }
+
+    isByokMode() {
+        return this.config.authMode === 'byok';
+    }
+
+    isBrokerMode() {
+        return this.config.authMode === 'broker';
+    }
+
+    // A provider's API key to send, if any; never sent in BYOK or broker mode
+    getProviderKey(providerId = 'openai') {
+        if (this.isByokMode() || this.isBrokerMode()) {
+            return '';
+        }
+        return this.config[getProvider(providerId).keyField] || '';
+    }
+
+    getOpenAIKey() {
+        return this.getProviderKey('openai');
+    }
+
+    // The cf-aig-authorization token to send, if any. BYOK needs an
+    // authenticated gateway, so the token is always sent in that mode.
+    getGatewayToken() {
+        if (this.isBrokerMode()) {
+            return '';
+        }
+        if (this.isByokMode() || this.config.useAuthGateway) {
+            return this.config.cfAuthToken || '';
+        }
+        return '';
+    }
+
+    // cf-aig-cache-* request headers from the cache settings
+    getCacheHeaders() {
+        const settings = { ...DEFAULT_CACHE_SETTINGS, ...this.config.cacheSettings };
+        const headers = {};
+
+        if (settings.skipCache) {
+            headers['cf-aig-skip-cache'] = 'true';
+        } else if (settings.ttl !== '' && settings.ttl !== null) {
+            headers['cf-aig-cache-ttl'] = String(parseInt(settings.ttl, 10));
+        }
+
+        if (settings.cacheKey) {
+            headers['cf-aig-cache-key'] = settings.cacheKey;
+        }
+
+        return headers;
+    }
+
+    // cf-aig-metadata, timeout and retry headers from the gateway options;
+    // `overrides` replaces options for one request, and its metadata object
+    // is merged over the configured entries
+    getGatewayOptionHeaders(overrides = {}) {
+        const { metadata: text, ...settings } = { ...DEFAULT_GATEWAY_OPTIONS, ...this.config.gatewayOptions };
+        const options = { ...settings, ...overrides };
+        const metadata = { ...parseMetadata(text).metadata, ...overrides.metadata };
+        const headers = {};
+
+        if (Object.keys(metadata).length > 0) {
+            headers['cf-aig-metadata'] = JSON.stringify(metadata);
         }
-        return `wss://gateway.ai.cloudflare.com/v1/${accountId}/${gatewayId}/openai/realtime`;
+
+        for (const [option, header] of Object.entries(GATEWAY_OPTION_HEADERS)) {
+            if (options[option] !== '' && options[option] !== null && options[option] !== undefined) {
+                headers[header] = String(options[option]);
+            }
+        }
+
+        return headers;
     }
 
-    getHeaders() {
+    getGatewayOptionErrors() {
+        const { metadata: text, maxAttempts } = { ...DEFAULT_GATEWAY_OPTIONS, ...this.config.gatewayOptions };
+        const { metadata, invalid } = parseMetadata(text);
+        const errors = invalid.map(line => `Gateway metadata must be key=value lines, not "${line}"`);
+
+        if (Object.keys(metadata).length > MAX_METADATA_ENTRIES) {
+            errors.push(`Gateway metadata is limited to ${MAX_METADATA_ENTRIES} entries`);
+        }
+        if (maxAttempts !== '' && !(maxAttempts >= 1 && maxAttempts <= 5)) {
+            errors.push('Max attempts must be between 1 and 5');
+        }
+        return errors;
+    }
+
+    // Headers every gateway request needs, whatever the provider;
+    // `gatewayOptions` overrides the configured options for this request
+    getGatewayHeaders(gatewayOptions = {}) {
         const headers = {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...this.getCacheHeaders(),
+            ...this.getGatewayOptionHeaders(gatewayOptions)
         };
 
-        if (this.config.openaiKey) {
-            headers['Authorization'] = `Bearer ${this.config.openaiKey}`;
+        if (this.getGatewayToken()) {
+            headers['cf-aig-authorization'] = `Bearer ${this.getGatewayToken()}`;
         }
 
-        if (this.config.useAuthGateway && this.config.cfAuthToken) {
-            headers['cf-aig-authorization'] = `Bearer ${this.config.cfAuthToken}`;
+        return headers;
+    }
+
+    getHeaders(gatewayOptions = {}) {
+        const headers = this.getGatewayHeaders(gatewayOptions);
+
+        if (this.getOpenAIKey()) {
+            headers['Authorization'] = `Bearer ${this.getOpenAIKey()}`;
         }
 
         return headers;
     }
 
-    getWebSocketHeaders() {
+    // Only Node clients can send these; timeouts and retries do not apply to
+    // a WebSocket, so metadata is the only gateway option sent
+    getWebSocketHeaders(gatewayOptions = {}) {
         const headers = {};
 
-        if (this.config.openaiKey) {
-            headers['Authorization'] = `Bearer ${this.config.openaiKey}`;
+        const metadata = this.getGatewayOptionHeaders(gatewayOptions)['cf-aig-metadata'];
+        if (metadata) {
+            headers['cf-aig-metadata'] = metadata;
         }
 
-        if (this.config.useAuthGateway && this.config.cfAuthToken) {
-            headers['cf-aig-authorization'] = `Bearer ${this.config.cfAuthToken}`;
+        if (this.getOpenAIKey()) {
+            headers['Authorization'] = `Bearer ${this.getOpenAIKey()}`;
+        }
+
+        if (this.getGatewayToken()) {
+            headers['cf-aig-authorization'] = `Bearer ${this.getGatewayToken()}`;
         }
 
         headers['OpenAI-Beta'] = 'realtime=v1';
@@ -84,8 +746,23 @@ export class ConfigManager {
         return headers;
     }
 
-    validateConfig() {
-        const errors = [];
+    // Checks the settings needed to reach `providerId` (OpenAI unless the
+    // chat page picked another provider)
+    validateConfig(providerId = 'openai') {
+        const errors = this.getGatewayOptionErrors();
+        const provider = getProvider(providerId);
+
+        // The broker checks its own .env settings and reports what is missing
+        if (this.isBrokerMode()) {
+            if (providerId !== 'openai') {
+                errors.push('Server-brokered mode only supports the OpenAI provider');
+            }
+            return { valid: errors.length === 0, errors };
+        }
+
+        if (this.isLocked()) {
+            return { valid: false, errors: [LOCKED_SECRETS_ERROR] };
+        }
         
         if (!this.config.accountId) {
             errors.push('Cloudflare Account ID is required');
@@ -95,13 +772,21 @@ export class ConfigManager {
             errors.push('Gateway ID is required');
         }
         
-        if (!this.config.openaiKey) {
-            errors.push('OpenAI API Key is required');
+        if (this.isByokMode()) {
+            if (!this.config.cfAuthToken) {
+                errors.push('CF AI Gateway Auth Token is required in BYOK mode');
+            }
+        } else {
+            if (!this.config[provider.keyField]) {
+                errors.push(`${provider.keyLabel} is required`);
+            }
+
+            if (this.config.useAuthGateway && !this.config.cfAuthToken) {
+                errors.push('CF AI Gateway Auth Token is required when using Authenticated Gateway');
+            }
         }
         
-        if (this.config.useAuthGateway && !this.config.cfAuthToken) {
-            errors.push('CF AI Gateway Auth Token is required when using Authenticated Gateway');
-        }
+        errors.push(...(provider.validate?.(this.config) || []));
         
         return {
             valid: errors.length === 0,
@@ -113,19 +798,44 @@ export class ConfigManager {
 // Initialize config manager
 export const configManager = new ConfigManager();
 
+// The direct OpenAI page used to keep its own config, where `model` was the
+// realtime model
+configManager.adoptLegacyConfig('openai_direct_config', 'OpenAI Direct', ({ model, ...values }) => ({
+    ...values,
+    ...(model ? { realtimeModel: model } : {})
+}));
+
 // Helper function to initialize config UI elements
-export function initializeConfigUI() {
-    const config = configManager.getConfig();
+// Pages call this once on load, optionally with their own ConfigManager
+export function initializeConfigUI(manager = configManager) {
+    const config = manager.getConfig();
     
     // Set values for all config inputs if they exist
     const elements = {
         accountId: document.getElementById('accountId'),
         gatewayId: document.getElementById('gatewayId'),
+        gatewayBaseUrl: document.getElementById('gatewayBaseUrl'),
+        authMode: document.getElementById('authMode'),
+        brokerUrl: document.getElementById('brokerUrl'),
+        secretStorage: document.getElementById('secretStorage'),
         openaiKey: document.getElementById('openaiKey'),
         cfAuthToken: document.getElementById('cfAuthToken'),
         useAuthGateway: document.getElementById('useAuthGateway'),
         model: document.getElementById('model'),
-        voice: document.getElementById('voice')
+        realtimeModel: document.getElementById('realtimeModel'),
+        voice: document.getElementById('voice'),
+        streamResponses: document.getElementById('streamResponses'),
+        chatProvider: document.getElementById('chatProvider'),
+        anthropicKey: document.getElementById('anthropicKey'),
+        anthropicModel: document.getElementById('anthropicModel'),
+        workersAiToken: document.getElementById('workersAiToken'),
+        workersAiModel: document.getElementById('workersAiModel'),
+        azureKey: document.getElementById('azureKey'),
+        azureResource: document.getElementById('azureResource'),
+        azureDeployment: document.getElementById('azureDeployment'),
+        azureApiVersion: document.getElementById('azureApiVersion'),
+        googleKey: document.getElementById('googleKey'),
+        googleModel: document.getElementById('googleModel')
     };
 
     for (const [key, element] of Object.entries(elements)) {
@@ -138,12 +848,85 @@ export function initializeConfigUI() {
         }
     }
 
+    // BYOK mode has no use for the key fields or the authenticated gateway
+    // toggle; in broker mode the server holds every gateway setting. Fields
+    // marked data-provider only show for that chat provider.
+    const updateVisibleFields = () => {
+        const mode = elements.authMode?.value || 'key';
+        const provider = elements.chatProvider?.value;
+        const visibility = {
+            useAuthGateway: mode === 'key',
+            cfAuthToken: mode !== 'broker',
+            accountId: mode !== 'broker',
+            gatewayId: mode !== 'broker',
+            gatewayBaseUrl: mode !== 'broker',
+            brokerUrl: mode === 'broker'
+        };
+        for (const key of PROVIDER_KEY_FIELDS) {
+            visibility[key] = mode === 'key';
+        }
+
+        for (const [key, element] of Object.entries(elements)) {
+            const item = element?.closest('.config-item');
+            if (!item) continue;
+
+            const forProvider = item.dataset.provider;
+            item.hidden = visibility[key] === false
+                || (forProvider !== undefined && provider !== undefined && forProvider !== provider);
+        }
+    };
+
+    elements.authMode?.addEventListener('change', updateVisibleFields);
+    elements.chatProvider?.addEventListener('change', updateVisibleFields);
+    updateVisibleFields();
+
     // Set up save button handler
     const saveButton = document.getElementById('saveConfig');
     const statusElement = document.getElementById('configStatus');
-    
+    const passphraseInput = document.getElementById('secretPassphrase');
+    const lockButton = document.getElementById('lockSecrets');
+
+    const showStatus = (text, type, timeout = 3000) => {
+        if (!statusElement) return;
+
+        statusElement.textContent = text;
+        statusElement.className = `status-message ${type}`;
+
+        if (timeout) {
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'status-message';
+            }, timeout);
+        }
+    };
+
+    // The passphrase and lock button only apply to encrypted storage
+    const updateSecretStorageFields = () => {
+        const encrypted = elements.secretStorage?.value === 'encrypted';
+        const item = passphraseInput?.closest('.config-item');
+        if (item) item.hidden = !encrypted;
+        if (lockButton) lockButton.hidden = !encrypted || manager.isLocked();
+    };
+
+    elements.secretStorage?.addEventListener('change', updateSecretStorageFields);
+    updateSecretStorageFields();
+
+    if (manager.isLocked()) {
+        showStatus(LOCKED_SECRETS_ERROR, 'error', 0);
+    }
+
+    lockButton?.addEventListener('click', () => {
+        manager.lock();
+        for (const key of SECRET_KEYS) {
+            if (elements[key]) elements[key].value = '';
+        }
+        updateSecretStorageFields();
+        showStatus('Keys locked in this page', 'success');
+    });
+
     if (saveButton) {
-        saveButton.addEventListener('click', () => {
+        saveButton.addEventListener('click', async () => {
+            const wasLocked = manager.isLocked();
             const updates = {};
             
             for (const [key, element] of Object.entries(elements)) {
@@ -156,31 +939,41 @@ export function initializeConfigUI() {
                 }
             }
             
-            configManager.saveConfig(updates);
-            
-            const validation = configManager.validateConfig();
-            
-            if (statusElement) {
-                if (validation.valid) {
-                    statusElement.textContent = 'Configuration saved successfully!';
-                    statusElement.className = 'status-message success';
-                } else {
-                    statusElement.textContent = 'Configuration saved with warnings: ' + validation.errors.join(', ');
-                    statusElement.className = 'status-message error';
+            // Keys are not kept in the browser once the gateway or broker holds them
+            const clearedKeys = getClearedSecretKeys(updates.authMode);
+
+            for (const key of clearedKeys) {
+                updates[key] = '';
+                if (elements[key]) elements[key].value = '';
+            }
+
+            // Locked key fields are blank, not cleared: keep the saved keys
+            if (wasLocked) {
+                for (const key of SECRET_KEYS) {
+                    if (updates[key] === '' && !clearedKeys.includes(key)) delete updates[key];
                 }
-                
-                setTimeout(() => {
-                    statusElement.textContent = '';
-                    statusElement.className = 'status-message';
-                }, 3000);
+            }
+
+            try {
+                await manager.saveSecure(updates, passphraseInput?.value || '');
+            } catch (error) {
+                showStatus(error.message, 'error');
+                return;
+            }
+
+            if (passphraseInput) passphraseInput.value = '';
+            for (const key of SECRET_KEYS) {
+                if (elements[key]) elements[key].value = manager.getConfig()[key] || '';
+            }
+            updateSecretStorageFields();
+
+            const validation = manager.validateConfig();
+            
+            if (validation.valid) {
+                showStatus('Configuration saved successfully!', 'success');
+            } else {
+                showStatus('Configuration saved with warnings: ' + validation.errors.join(', '), 'error');
             }
         });
     }
 }
-
-// Initialize config UI when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeConfigUI);
-} else {
-    initializeConfigUI();
-}
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Saved chat conversations
+// A conversation is stored as
+//   { id, title, createdAt, updatedAt, model, profile, messages, transcript }
+// where `messages` is the Chat Completions conversation sent to providers and
+// `transcript` the [{ type, content, meta }] entries shown on the page.
+// Browsers keep them in IndexedDB; Node (tests) falls back to memory.
+
+const DB_NAME = 'cf_ai_gateway_chat';
+const STORE_NAME = 'conversations';
+
+// Titles are the first user message, cut to this length
+const TITLE_LENGTH = 60;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Backend over an IndexedDB object store keyed by id
+export function createIndexedDBBackend(dbName = DB_NAME, indexedDB = globalThis.indexedDB) {
+    let opened = null;
+
+    const open = () => {
+        opened ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return opened;
+    };
+
+    const run = async (mode, action) => {
+        const db = await open();
+        return promisify(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    };
+
+    return {
+        getAll: () => run('readonly', store => store.getAll()),
+        get: (id) => run('readonly', store => store.get(id)),
+        put: (record) => run('readwrite', store => store.put(record)),
+        delete: (id) => run('readwrite', store => store.delete(id))
+    };
+}
+
+// Minimal backend stand-in for Node (tests have no IndexedDB)
+export function createMemoryBackend() {
+    const records = new Map();
+    const copy = (record) => (record === undefined ? undefined : structuredClone(record));
+    return {
+        getAll: async () => [...records.values()].map(copy),
+        get: async (id) => copy(records.get(id)),
+        put: async (record) => { records.set(record.id, copy(record)); },
+        delete: async (id) => { records.delete(id); }
+    };
+}
+
+function getDefaultBackend() {
+    return typeof indexedDB !== 'undefined' ? createIndexedDBBackend() : createMemoryBackend();
+}
+
+export function titleFor(messages) {
+    const first = messages.find(message => message.role === 'user')?.content || 'New conversation';
+    const line = String(first).split('\n')[0].trim();
+    return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+}
+
+// Run one turn of `messages` (the user message, then every assistant and tool
+// message it leads to); if it throws or is cancelled, the messages it added
+// are dropped again. Otherwise later requests would carry a user turn without
+// a reply or tool_calls without their results, which providers reject.
+export async function runTurn(messages, turn) {
+    const start = messages.length;
+    try {
+        return await turn();
+    } catch (error) {
+        messages.splice(start);
+        throw error;
+    }
+}
+
+export class ConversationStore {
+    constructor(backend = getDefaultBackend()) {
+        this.backend = backend;
+    }
+
+    // Newest first; `query` matches the title, model, profile or any message
+    async list({ query = '' } = {}) {
+        const needle = query.trim().toLowerCase();
+        const conversations = await this.backend.getAll();
+
+        return conversations
+            .filter(conversation => !needle || [
+                conversation.title,
+                conversation.model,
+                conversation.profile,
+                ...conversation.transcript.map(entry => entry.content)
+            ].some(text => String(text ?? '').toLowerCase().includes(needle)))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.backend.get(id);
+    }
+
+    // Create or update a conversation; a new one gets an id, a title from its
+    // first user message and a creation time
+    async save(conversation) {
+        const now = Date.now();
+        const record = {
+            ...conversation,
+            id: conversation.id || crypto.randomUUID(),
+            title: conversation.title || titleFor(conversation.messages),
+            createdAt: conversation.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.backend.put(record);
+        return record;
+    }
+
+    async rename(id, title) {
+        const conversation = await this.get(id);
+        const trimmed = String(title || '').trim();
+
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+        if (!trimmed) {
+            throw new Error('Title is required');
+        }
+
+        const record = { ...conversation, title: trimmed };
+        await this.backend.put(record);
+        return record;
+    }
+
+    delete(id) {
+        return this.backend.delete(id);
+    }
+}
@@ -0,0 +1,203 @@
+// Realtime event inspector for both voice pages
+// Lists every client and server event newest first with its time, direction
+// and type, filtered by direction and type; each event opens as a JSON tree
+// (audio arrives already collapsed to its length). A timeline shows how long
+// each response took to start, produce output and finish. Connections can
+// also be recorded frame by frame for server/replay-server.js.
+
+import { buildResponseTimeline, filterEvents } from './realtime-events.js';
+import { recordingFileName } from './session-recording.js';
+import { downloadText } from './transcript-panel.js';
+
+// Rendering thousands of rows makes the page sluggish; older matches are counted only
+const MAX_SHOWN_EVENTS = 300;
+
+// Redraws are batched while events stream in
+const RENDER_DELAY_MS = 150;
+
+const DIRECTIONS = { client: '↑ client', server: '↓ server' };
+
+const formatMs = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`);
+
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+// Objects and arrays are <details> whose children are built when first opened
+function renderTree(value, key = null, open = false) {
+    const label = key === null ? '' : `${key}: `;
+
+    if (value === null || typeof value !== 'object') {
+        const leaf = createElement('div', 'json-leaf');
+        const type = value === null ? 'null' : typeof value;
+        const text = type === 'string' ? JSON.stringify(value) : String(value);
+        const isAudio = type === 'string' && /^\[\d+ base64 chars\]$/.test(value);
+        leaf.append(
+            createElement('span', 'json-key', label),
+            createElement('span', `json-${isAudio ? 'audio' : type}`, isAudio ? value : text)
+        );
+        return leaf;
+    }
+
+    const entries = Object.entries(value);
+    const node = createElement('details', 'json-node');
+    const summary = createElement('summary', '', label);
+    summary.appendChild(createElement('span', 'json-size',
+        Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`));
+    node.appendChild(summary);
+
+    let built = false;
+    node.addEventListener('toggle', () => {
+        if (!node.open || built) return;
+        built = true;
+        for (const [childKey, child] of entries) {
+            node.appendChild(renderTree(child, childKey));
+        }
+    });
+    node.open = open;
+    return node;
+}
+
+function renderTimeline(container, events) {
+    const rows = buildResponseTimeline(events);
+    container.innerHTML = '';
+
+    if (rows.length === 0) {
+        container.appendChild(createElement('p', 'inspector-empty', 'No responses yet'));
+        return;
+    }
+
+    const longest = Math.max(...rows.map(row => row.done ?? row.created), 1);
+    for (const row of rows) {
+        const firstOutput = [row.firstText, row.firstAudio].filter(ms => ms !== null);
+        const outputAt = firstOutput.length > 0 ? Math.min(...firstOutput) : null;
+
+        const marks = [
+            row.trigger ? `from ${row.trigger}` : '',
+            `created ${formatMs(row.created)}`,
+            row.firstText !== null ? `first text ${formatMs(row.firstText)}` : '',
+            row.firstAudio !== null ? `first audio ${formatMs(row.firstAudio)}` : '',
+            row.done !== null ? `done ${formatMs(row.done)}` : '',
+            row.status
+        ].filter(Boolean).join(' · ');
+
+        // Waiting until the first output, then streaming until done
+        const bar = createElement('div', 'timeline-bar');
+        const waitEnd = outputAt ?? row.done ?? row.created;
+        const wait = createElement('span', 'timeline-wait');
+        wait.style.width = `${(waitEnd / longest) * 100}%`;
+        bar.appendChild(wait);
+        if (outputAt !== null && row.done !== null) {
+            const streaming = createElement('span', 'timeline-stream');
+            streaming.style.width = `${((row.done - outputAt) / longest) * 100}%`;
+            bar.appendChild(streaming);
+        }
+
+        const item = createElement('div', 'timeline-row');
+        item.append(createElement('div', 'timeline-label', `${row.id} · ${marks}`), bar);
+        container.appendChild(item);
+    }
+}
+
+export function initializeEventInspectorUI(session) {
+    const sourceSelect = document.getElementById('eventSource');
+    const typesInput = document.getElementById('eventTypes');
+    const hideAudioCheckbox = document.getElementById('hideAudioEvents');
+    const eventList = document.getElementById('eventList');
+    const eventCount = document.getElementById('eventCount');
+    const timeline = document.getElementById('eventTimeline');
+    const recordCheckbox = document.getElementById('recordFrames');
+    const downloadButton = document.getElementById('downloadRecording');
+    const recordingStatus = document.getElementById('recordingStatus');
+
+    if (!eventList) return { render: () => {} };
+
+    // Entries whose rows are expanded survive redraws
+    const expanded = new WeakSet();
+    let pending = null;
+
+    const render = () => {
+        clearTimeout(pending);
+        pending = null;
+
+        const { events } = session;
+        const matching = filterEvents(events, {
+            source: sourceSelect.value,
+            types: typesInput.value,
+            hideAudio: hideAudioCheckbox.checked
+        });
+        const shown = matching.slice(-MAX_SHOWN_EVENTS).reverse();
+        const firstAt = events.length > 0 ? Date.parse(events[0].time) : 0;
+
+        eventList.innerHTML = '';
+        for (const entry of shown) {
+            const row = createElement('details', `event-row ${entry.source}`);
+            const offset = ((Date.parse(entry.time) - firstAt) / 1000).toFixed(3);
+            const summary = createElement('summary', '', `+${offset}s  ${DIRECTIONS[entry.source]}  ${entry.event.type}`);
+            summary.title = entry.time;
+            row.appendChild(summary);
+
+            const showTree = () => {
+                if (row.childElementCount === 1) row.appendChild(renderTree(entry.event, null, true));
+            };
+            row.addEventListener('toggle', () => {
+                if (row.open) {
+                    expanded.add(entry);
+                    showTree();
+                } else {
+                    expanded.delete(entry);
+                }
+            });
+            if (expanded.has(entry)) {
+                row.open = true;
+                showTree();
+            }
+
+            eventList.appendChild(row);
+        }
+
+        if (shown.length === 0) {
+            eventList.appendChild(createElement('p', 'inspector-empty',
+                events.length === 0 ? 'No events yet' : 'No events match the filters'));
+        }
+
+        eventCount.textContent = matching.length > shown.length
+            ? `Showing the latest ${shown.length} of ${matching.length} matching events (${events.length} total)`
+            : `${matching.length} of ${events.length} events`;
+
+        renderTimeline(timeline, events);
+    };
+
+    const scheduleRender = () => {
+        pending ??= setTimeout(render, RENDER_DELAY_MS);
+    };
+
+    session.on('event', scheduleRender);
+    sourceSelect.addEventListener('change', render);
+    typesInput.addEventListener('input', render);
+    hideAudioCheckbox.addEventListener('change', render);
+
+    // Takes effect on the next connect
+    recordCheckbox.addEventListener('change', () => {
+        session.recordFrames = recordCheckbox.checked;
+    });
+
+    downloadButton.addEventListener('click', () => {
+        const recording = session.getRecording();
+        if (!recording) {
+            recordingStatus.textContent = 'Nothing recorded: tick the box, then connect';
+            recordingStatus.className = 'status-message error';
+            return;
+        }
+
+        downloadText(recordingFileName(recording), `${JSON.stringify(recording, null, 2)}\n`, 'application/json');
+        recordingStatus.textContent = `Saved ${recording.frames.length} frames`;
+        recordingStatus.className = 'status-message success';
+    });
+
+    render();
+    return { render };
+}
@@ -0,0 +1,99 @@
+// Conversation history sidebar for the chat page
+// Lists saved conversations newest first and lets the user search, resume,
+// rename and delete them. The chat page owns the open conversation, so
+// resuming and deleting go through its callbacks.
+
+export function initializeHistoryUI(store, { getActiveId, onResume, onDelete }) {
+    const searchInput = document.getElementById('historySearch');
+    const historyList = document.getElementById('historyList');
+    const statusElement = document.getElementById('historyStatus');
+
+    if (!historyList) return { render: async () => {} };
+
+    const showStatus = (message, type) => {
+        statusElement.textContent = message;
+        statusElement.className = `status-message ${type}`;
+
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status-message';
+        }, 3000);
+    };
+
+    // Run a store action, reporting failures (e.g. IndexedDB unavailable)
+    const run = async (action) => {
+        try {
+            await action();
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    };
+
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn-link';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const render = () => run(async () => {
+        const conversations = await store.list({ query: searchInput.value });
+        historyList.innerHTML = '';
+
+        for (const conversation of conversations) {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.classList.toggle('active', conversation.id === getActiveId());
+
+            const title = document.createElement('button');
+            title.className = 'history-title';
+            title.textContent = conversation.title;
+            title.title = 'Resume this conversation';
+            title.addEventListener('click', () => run(() => onResume(conversation.id)));
+
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            meta.textContent = [
+                new Date(conversation.updatedAt).toLocaleString(),
+                conversation.model,
+                conversation.profile
+            ].filter(Boolean).join(' · ');
+
+            const actions = document.createElement('span');
+            actions.append(
+                createButton('Rename', () => {
+                    const name = prompt('Conversation title:', conversation.title);
+                    if (name === null) return;
+                    run(async () => {
+                        await store.rename(conversation.id, name);
+                        await render();
+                    });
+                }),
+                createButton('Delete', () => {
+                    if (!confirm(`Delete "${conversation.title}"?`)) return;
+                    run(async () => {
+                        await store.delete(conversation.id);
+                        onDelete(conversation.id);
+                        await render();
+                    });
+                })
+            );
+
+            item.append(title, meta, actions);
+            historyList.appendChild(item);
+        }
+
+        if (conversations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-item empty';
+            empty.textContent = searchInput.value.trim() ? 'No matching conversations' : 'No saved conversations';
+            historyList.appendChild(empty);
+        }
+    });
+
+    searchInput.addEventListener('input', () => render());
+
+    render();
+    return { render };
+}
@@ -0,0 +1,157 @@
+// HTTP client shared by the chat page, tests and scripts
+// Retries rate-limited (429) and server error (5xx) responses and network
+// failures with jittered exponential backoff. A delay the server asks for
+// (Retry-After, retry-after-ms or an exhausted x-ratelimit-* budget) is
+// honored instead of the backoff, unless it is longer than maxDelayMs.
+
+export const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 30000
+};
+
+// The error message from an OpenAI-style ({ error: { message } }) or
+// gateway-style ({ error: [{ message }] }) body, or the body itself
+function readErrorMessage(body) {
+    try {
+        const { error } = JSON.parse(body);
+        return (Array.isArray(error) ? error[0]?.message : error?.message) || body;
+    } catch {
+        return body;
+    }
+}
+
+// A response that was not OK after `retries` retries
+export class HttpError extends Error {
+    constructor(response, body, retries = 0) {
+        const message = readErrorMessage(body);
+        super(response.status === 429
+            ? `Rate limited (429): ${message}${retries > 0 ? ` (gave up after ${retries} retries)` : ''}`
+            : `API Error: ${response.status} - ${message}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.body = body;
+        this.retries = retries;
+        this.response = response;
+    }
+}
+
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// OpenAI-style durations such as "1s", "6m0s" or "250ms", in milliseconds
+function parseDuration(value) {
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (parts.length === 0) return null;
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+}
+
+// How long the server asked us to wait, in milliseconds, or null
+export function getServerDelay(headers, now = Date.now()) {
+    const retryAfterMs = headers.get('retry-after-ms');
+    if (retryAfterMs !== null && !Number.isNaN(Number(retryAfterMs))) {
+        return Number(retryAfterMs);
+    }
+
+    // Retry-After is either seconds or an HTTP date
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter !== null) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - now);
+    }
+
+    // The reset of whichever budget ran out
+    const resets = [];
+    for (const budget of ['requests', 'tokens']) {
+        if (headers.get(`x-ratelimit-remaining-${budget}`) === '0') {
+            const reset = parseDuration(headers.get(`x-ratelimit-reset-${budget}`));
+            if (reset !== null) resets.push(reset);
+        }
+    }
+    if (resets.length > 0) {
+        return Math.max(...resets);
+    }
+
+    return null;
+}
+
+// Exponential backoff for retry number `attempt` (0-based), jittered to
+// between half and all of baseDelayMs * 2^attempt
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new DOMException('The request was cancelled', 'AbortError');
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError(signal));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// fetch() with retries. Resolves with the first OK response; rejects with an
+// HttpError for a response that is not OK and not retried, the fetch error
+// after the last network failure, or an AbortError once `signal` aborts.
+// `onRetry({ attempt, maxRetries, delayMs, status, error })` is called before
+// each wait; `status` is null after a network failure.
+export async function fetchWithRetry(url, init = {}, {
+    signal = init.signal,
+    onRetry = () => {},
+    fetch: fetchImpl = globalThis.fetch,
+    ...options
+} = {}) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetchImpl(url, { ...init, signal });
+        } catch (error) {
+            if (signal?.aborted || attempt >= maxRetries) throw error;
+
+            const delayMs = getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            onRetry({ attempt: attempt + 1, maxRetries, delayMs, status: null, error });
+            await sleep(delayMs, signal);
+            continue;
+        }
+
+        if (response.ok) {
+            return response;
+        }
+
+        const serverDelay = isRetryableStatus(response.status) ? getServerDelay(response.headers) : null;
+        const retry = isRetryableStatus(response.status)
+            && attempt < maxRetries
+            && (serverDelay === null || serverDelay <= maxDelayMs);
+
+        if (!retry) {
+            throw new HttpError(response, await response.text(), attempt);
+        }
+
+        // The body is not needed; free the connection
+        await response.body?.cancel();
+
+        const delayMs = serverDelay ?? getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        onRetry({ attempt: attempt + 1, maxRetries, delayMs, status: response.status, error: null });
+        await sleep(delayMs, signal);
+    }
+}
@@ -0,0 +1,132 @@
+// Request inspector for the chat page
+// Lists the requests in a RequestLog newest first, each expandable to its
+// headers, bodies and timing, with buttons to copy it as curl or Node fetch.
+
+import { toCurl, toNodeFetch } from './request-log.js';
+
+const formatHeaders = (headers) => Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n') || '(none)';
+
+// Pretty-print JSON bodies; anything else (e.g. SSE streams) as is
+function formatBody(body) {
+    if (body === null) return '(none)';
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+        return body;
+    }
+}
+
+function describeEntry(entry) {
+    const status = entry.status ?? (entry.error ? 'failed' : 'pending');
+    const timing = entry.durationMs === null ? '' : ` · ${entry.durationMs} ms`;
+    return `${entry.method} ${status}${timing} · ${entry.url}`;
+}
+
+export function initializeInspectorUI(log) {
+    const inspectorList = document.getElementById('inspectorList');
+    const clearButton = document.getElementById('clearInspector');
+    const statusElement = document.getElementById('inspectorStatus');
+
+    if (!inspectorList) return;
+
+    // Expanded entries stay open when the list is redrawn
+    const expanded = new Set();
+
+    const showStatus = (message, type) => {
+        statusElement.textContent = message;
+        statusElement.className = `status-message ${type}`;
+
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status-message';
+        }, 3000);
+    };
+
+    const copy = async (text, what) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            showStatus(`Copied as ${what} (keys redacted)`, 'success');
+        } catch (error) {
+            showStatus(`Copy failed: ${error.message}`, 'error');
+        }
+    };
+
+    const createSection = (title, text) => {
+        const section = document.createElement('div');
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        const pre = document.createElement('pre');
+        pre.textContent = text;
+        section.append(heading, pre);
+        return section;
+    };
+
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const render = (entries) => {
+        inspectorList.innerHTML = '';
+
+        for (const entry of [...entries].reverse()) {
+            const item = document.createElement('details');
+            item.className = 'inspector-entry';
+            item.classList.toggle('failed', Boolean(entry.error) || entry.status >= 400);
+            item.open = expanded.has(entry.id);
+            item.addEventListener('toggle', () => {
+                if (item.open) expanded.add(entry.id);
+                else expanded.delete(entry.id);
+            });
+
+            const summary = document.createElement('summary');
+            summary.textContent = describeEntry(entry);
+
+            const timing = [
+                `Started ${entry.startedAt}`,
+                entry.durationMs !== null ? `headers after ${entry.durationMs} ms` : '',
+                entry.totalMs !== null ? `complete after ${entry.totalMs} ms` : ''
+            ].filter(Boolean).join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'inspector-actions';
+            actions.append(
+                createButton('Copy as curl', () => copy(toCurl(entry), 'curl')),
+                createButton('Copy as Node fetch', () => copy(toNodeFetch(entry), 'Node fetch'))
+            );
+
+            item.append(
+                summary,
+                createSection('Timing', timing),
+                ...(entry.error ? [createSection('Error', entry.error)] : []),
+                createSection('Request Headers', formatHeaders(entry.requestHeaders)),
+                createSection('Request Body', formatBody(entry.requestBody)),
+                createSection(`Response Headers${entry.status ? ` (${entry.status} ${entry.statusText})` : ''}`,
+                    formatHeaders(entry.responseHeaders)),
+                createSection('Response Body', formatBody(entry.responseBody)),
+                actions
+            );
+            inspectorList.appendChild(item);
+        }
+
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'inspector-empty';
+            empty.textContent = 'No requests yet';
+            inspectorList.appendChild(empty);
+        }
+    };
+
+    clearButton.addEventListener('click', () => {
+        expanded.clear();
+        log.clear();
+    });
+
+    log.subscribe(render);
+    render(log.entries);
+}
@@ -0,0 +1,118 @@
+// Profile switcher shared by every page with a configuration panel
+// Switches, creates, clones, deletes, exports and imports the named profiles
+// kept by ConfigManager. The other panels read the config once on load, so
+// any change to the active profile reloads the page.
+
+import { configManager } from './config.js';
+import { downloadText } from './transcript-panel.js';
+
+export function initializeProfileUI(manager = configManager) {
+    const profileSelect = document.getElementById('profileSelect');
+    const newButton = document.getElementById('newProfile');
+    const cloneButton = document.getElementById('cloneProfile');
+    const deleteButton = document.getElementById('deleteProfile');
+    const exportButton = document.getElementById('exportProfiles');
+    const importButton = document.getElementById('importProfiles');
+    const importInput = document.getElementById('importProfilesFile');
+    const statusElement = document.getElementById('profileStatus');
+
+    if (!profileSelect) return;
+
+    const showStatus = (message, type) => {
+        statusElement.textContent = message;
+        statusElement.className = `status-message ${type}`;
+
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status-message';
+        }, 3000);
+    };
+
+    const render = () => {
+        profileSelect.innerHTML = '';
+
+        for (const name of manager.listProfiles()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            profileSelect.appendChild(option);
+        }
+
+        profileSelect.value = manager.getActiveProfile();
+        deleteButton.disabled = manager.listProfiles().length === 1;
+    };
+
+    // Run a profile change, reloading when the active profile is affected
+    const run = (action) => {
+        try {
+            const reload = action();
+            if (reload) {
+                location.reload();
+            } else {
+                render();
+            }
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    };
+
+    profileSelect.addEventListener('change', () => run(() => {
+        manager.switchProfile(profileSelect.value);
+        return true;
+    }));
+
+    newButton.addEventListener('click', () => {
+        const name = prompt('Name for the new profile:');
+        if (name === null) return;
+
+        run(() => {
+            manager.switchProfile(manager.createProfile(name));
+            return true;
+        });
+    });
+
+    cloneButton.addEventListener('click', () => {
+        const source = manager.getActiveProfile();
+        const name = prompt(`Name for the copy of "${source}":`, manager.getUnusedProfileName(`${source} copy`));
+        if (name === null) return;
+
+        run(() => {
+            manager.switchProfile(manager.cloneProfile(source, name));
+            return true;
+        });
+    });
+
+    deleteButton.addEventListener('click', () => {
+        const name = manager.getActiveProfile();
+        if (!confirm(`Delete the profile "${name}"? Its saved keys are deleted too.`)) return;
+
+        run(() => {
+            manager.deleteProfile(name);
+            return true;
+        });
+    });
+
+    exportButton.addEventListener('click', () => {
+        downloadText('ai-gateway-profiles.json', manager.exportProfiles(), 'application/json');
+
+        showStatus('Exported all profiles (keys are not included)', 'success');
+    });
+
+    importButton.addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        if (!file) return;
+
+        const text = await file.text();
+        importInput.value = '';
+
+        run(() => {
+            const names = manager.importProfiles(text);
+            showStatus(`Imported ${names.join(', ')}`, 'success');
+            return false;
+        });
+    });
+
+    render();
+}
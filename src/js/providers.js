@@ -0,0 +1,357 @@
+// Chat providers reachable through Cloudflare AI Gateway
+// Each provider knows its gateway path segment, how it authenticates and how
+// to translate between its own chat schema and the OpenAI Chat Completions
+// shape the chat page keeps its conversation in:
+//   messages   [{ role: 'system' | 'user' | 'assistant' | 'tool', content, tool_calls?, tool_call_id? }]
+//   replies    { content, tool_calls? } with OpenAI-style tool calls
+//   streaming  { content?, tool_calls? } deltas, tool calls as indexed fragments
+
+const parseArguments = (args) => {
+    try {
+        return JSON.parse(args || '{}');
+    } catch {
+        return {};
+    }
+};
+
+const toolCall = (id, name, args) => ({
+    id,
+    type: 'function',
+    function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {}) }
+});
+
+// System messages go in a separate field for Anthropic and Google
+const splitSystem = (messages) => ({
+    system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n'),
+    conversation: messages.filter(message => message.role !== 'system')
+});
+
+// Providers that accept the OpenAI schema as is
+const openAICompatible = {
+    buildRequest({ model, messages, params, tools, stream }) {
+        const body = { model, messages, ...params };
+        if (tools.length > 0) {
+            body.tools = tools;
+            body.tool_choice = 'auto';
+        }
+        if (stream) body.stream = true;
+        return body;
+    },
+
+    parseResponse(data) {
+        const message = data.choices?.[0]?.message;
+        if (!message) {
+            throw new Error('Invalid response format');
+        }
+        return { content: message.content ?? null, tool_calls: message.tool_calls };
+    },
+
+    parseStreamEvent(data) {
+        const delta = data.choices?.[0]?.delta;
+        return delta ? { content: delta.content, tool_calls: delta.tool_calls } : null;
+    }
+};
+
+const anthropic = {
+    buildRequest({ model, messages, params, tools, stream }) {
+        const { system, conversation } = splitSystem(messages);
+        const converted = [];
+
+        for (const message of conversation) {
+            if (message.role === 'tool') {
+                // Tool results are user content blocks; consecutive ones share a message
+                const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+                const previous = converted.at(-1);
+                if (previous?.role === 'user' && Array.isArray(previous.content)) {
+                    previous.content.push(block);
+                } else {
+                    converted.push({ role: 'user', content: [block] });
+                }
+            } else if (message.role === 'assistant' && message.tool_calls?.length) {
+                converted.push({
+                    role: 'assistant',
+                    content: [
+                        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                        ...message.tool_calls.map(call => ({
+                            type: 'tool_use',
+                            id: call.id,
+                            name: call.function.name,
+                            input: parseArguments(call.function.arguments)
+                        }))
+                    ]
+                });
+            } else {
+                converted.push({ role: message.role, content: message.content ?? '' });
+            }
+        }
+
+        // max_tokens is required by the Messages API
+        const body = { model, max_tokens: params.max_tokens ?? 1024, messages: converted };
+        if (system) body.system = system;
+        if (params.temperature !== undefined) body.temperature = params.temperature;
+        if (params.top_p !== undefined) body.top_p = params.top_p;
+        if (params.stop) body.stop_sequences = params.stop;
+        if (tools.length > 0) {
+            body.tools = tools.map(({ function: fn }) => ({
+                name: fn.name,
+                description: fn.description,
+                input_schema: fn.parameters
+            }));
+        }
+        if (stream) body.stream = true;
+        return body;
+    },
+
+    parseResponse(data) {
+        if (!Array.isArray(data.content)) {
+            throw new Error('Invalid response format');
+        }
+
+        const text = data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        const calls = data.content
+            .filter(block => block.type === 'tool_use')
+            .map(block => toolCall(block.id, block.name, block.input));
+
+        return { content: text || null, tool_calls: calls.length > 0 ? calls : undefined };
+    },
+
+    parseStreamEvent(data) {
+        switch (data.type) {
+            case 'content_block_start':
+                if (data.content_block.type === 'tool_use') {
+                    const { id, name } = data.content_block;
+                    return { tool_calls: [{ index: data.index, id, function: { name } }] };
+                }
+                return null;
+            case 'content_block_delta':
+                if (data.delta.type === 'text_delta') {
+                    return { content: data.delta.text };
+                }
+                if (data.delta.type === 'input_json_delta') {
+                    return { tool_calls: [{ index: data.index, function: { arguments: data.delta.partial_json } }] };
+                }
+                return null;
+            case 'error':
+                throw new Error(data.error?.message || 'Stream error');
+            default:
+                return null;
+        }
+    }
+};
+
+const google = {
+    buildRequest({ messages, params, tools }) {
+        const { system, conversation } = splitSystem(messages);
+
+        // Function responses are matched to calls by name, not ID
+        const callNames = new Map();
+        const contents = [];
+
+        for (const message of conversation) {
+            if (message.role === 'tool') {
+                const part = {
+                    functionResponse: {
+                        name: callNames.get(message.tool_call_id),
+                        response: { content: parseArguments(message.content) }
+                    }
+                };
+                const previous = contents.at(-1);
+                if (previous?.role === 'user' && previous.parts.every(p => p.functionResponse)) {
+                    previous.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
+            } else if (message.role === 'assistant') {
+                const parts = message.content ? [{ text: message.content }] : [];
+                for (const call of message.tool_calls || []) {
+                    callNames.set(call.id, call.function.name);
+                    parts.push({ functionCall: { name: call.function.name, args: parseArguments(call.function.arguments) } });
+                }
+                contents.push({ role: 'model', parts });
+            } else {
+                contents.push({ role: 'user', parts: [{ text: message.content ?? '' }] });
+            }
+        }
+
+        const generationConfig = {};
+        if (params.temperature !== undefined) generationConfig.temperature = params.temperature;
+        if (params.top_p !== undefined) generationConfig.topP = params.top_p;
+        if (params.max_tokens !== undefined) generationConfig.maxOutputTokens = params.max_tokens;
+        if (params.presence_penalty !== undefined) generationConfig.presencePenalty = params.presence_penalty;
+        if (params.frequency_penalty !== undefined) generationConfig.frequencyPenalty = params.frequency_penalty;
+        if (params.seed !== undefined) generationConfig.seed = params.seed;
+        if (params.stop) generationConfig.stopSequences = params.stop;
+        if (params.response_format?.type === 'json_object') generationConfig.responseMimeType = 'application/json';
+
+        const body = { contents, generationConfig };
+        if (system) body.systemInstruction = { parts: [{ text: system }] };
+        if (tools.length > 0) {
+            body.tools = [{ functionDeclarations: tools.map(({ function: fn }) => fn) }];
+        }
+        return body;
+    },
+
+    // Gemini sends no call IDs, so they are made up from the part index
+    readParts(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        const text = parts.filter(part => part.text).map(part => part.text).join('');
+        const calls = parts
+            .map((part, index) => part.functionCall && { index, call: part.functionCall })
+            .filter(Boolean);
+        return { text, calls };
+    },
+
+    parseResponse(data) {
+        if (!data.candidates) {
+            throw new Error('Invalid response format');
+        }
+
+        const { text, calls } = google.readParts(data);
+        return {
+            content: text || null,
+            tool_calls: calls.length > 0
+                ? calls.map(({ index, call }) => toolCall(`call_${index}`, call.name, call.args))
+                : undefined
+        };
+    },
+
+    // Each chunk carries whole function calls rather than fragments. `state`
+    // lives for the whole stream, so calls in later chunks get the next index
+    // (and id) instead of restarting at 0 and being merged with earlier ones.
+    parseStreamEvent(data, state = {}) {
+        const { text, calls } = google.readParts(data);
+        state.callCount ??= 0;
+        return {
+            content: text || undefined,
+            tool_calls: calls.length > 0
+                ? calls.map(({ call }) => {
+                    const index = state.callCount++;
+                    return { index, ...toolCall(`call_${index}`, call.name, call.args) };
+                })
+                : undefined
+        };
+    }
+};
+
+// `keyField` and `modelField` are the ConfigManager fields holding the
+// provider's API key and model; `getPath()` is appended to the gateway URL
+// for the provider's segment. `getHeaders()` are sent on every request, and
+// `getAuthHeaders(key)` only when the profile has a key (not in BYOK mode).
+export const PROVIDERS = {
+    'openai': {
+        label: 'OpenAI',
+        segment: 'openai',
+        keyField: 'openaiKey',
+        keyLabel: 'OpenAI API Key',
+        modelField: 'model',
+        getPath: () => '/chat/completions',
+        getHeaders: () => ({}),
+        getAuthHeaders: (key) => ({ 'Authorization': `Bearer ${key}` }),
+        ...openAICompatible
+    },
+    'anthropic': {
+        label: 'Anthropic',
+        segment: 'anthropic',
+        keyField: 'anthropicKey',
+        keyLabel: 'Anthropic API Key',
+        modelField: 'anthropicModel',
+        getPath: () => '/v1/messages',
+        getHeaders: () => ({ 'anthropic-version': '2023-06-01' }),
+        getAuthHeaders: (key) => ({ 'x-api-key': key }),
+        ...anthropic
+    },
+    'workers-ai': {
+        label: 'Workers AI',
+        segment: 'workers-ai',
+        keyField: 'workersAiToken',
+        keyLabel: 'Cloudflare API Token (Workers AI)',
+        modelField: 'workersAiModel',
+        // OpenAI-compatible endpoint; the model goes in the body
+        getPath: () => '/v1/chat/completions',
+        getHeaders: () => ({}),
+        getAuthHeaders: (key) => ({ 'Authorization': `Bearer ${key}` }),
+        ...openAICompatible
+    },
+    'azure-openai': {
+        label: 'Azure OpenAI',
+        segment: 'azure-openai',
+        keyField: 'azureKey',
+        keyLabel: 'Azure OpenAI API Key',
+        // The deployment picks the model; Azure ignores `model` in the body
+        modelField: 'azureDeployment',
+        getPath: (config) => {
+            const resource = encodeURIComponent(config.azureResource);
+            const deployment = encodeURIComponent(config.azureDeployment);
+            const apiVersion = encodeURIComponent(config.azureApiVersion || '2024-10-21');
+            return `/${resource}/${deployment}/chat/completions?api-version=${apiVersion}`;
+        },
+        getHeaders: () => ({}),
+        getAuthHeaders: (key) => ({ 'api-key': key }),
+        validate: (config) => [
+            ...(config.azureResource ? [] : ['Azure resource name is required']),
+            ...(config.azureDeployment ? [] : ['Azure deployment name is required'])
+        ],
+        ...openAICompatible
+    },
+    'google-ai-studio': {
+        label: 'Google AI Studio',
+        segment: 'google-ai-studio',
+        keyField: 'googleKey',
+        keyLabel: 'Google AI Studio API Key',
+        modelField: 'googleModel',
+        getPath: (config, { stream }) => {
+            const model = encodeURIComponent(config.googleModel);
+            return stream
+                ? `/v1beta/models/${model}:streamGenerateContent?alt=sse`
+                : `/v1beta/models/${model}:generateContent`;
+        },
+        getHeaders: () => ({}),
+        getAuthHeaders: (key) => ({ 'x-goog-api-key': key }),
+        ...google
+    }
+};
+
+export function getProvider(id = 'openai') {
+    const provider = PROVIDERS[id];
+    if (!provider) {
+        throw new Error(`Unknown provider "${id}"`);
+    }
+    return provider;
+}
+
+// One chat request for `providerId`, relative to the provider's gateway
+// segment: { provider, path, headers, body, model }
+export function buildProviderRequest(manager, providerId, { messages, tools = [], stream = false }) {
+    const provider = getProvider(providerId);
+    const config = manager.getConfig();
+    const model = config[provider.modelField];
+    const key = manager.getProviderKey(providerId);
+
+    return {
+        provider,
+        path: provider.getPath(config, { stream }),
+        headers: { ...provider.getHeaders(), ...(key ? provider.getAuthHeaders(key) : {}) },
+        body: provider.buildRequest({
+            model,
+            messages,
+            params: manager.getChatRequestParams(),
+            tools,
+            stream
+        }),
+        model
+    };
+}
+
+// Everything needed to send one chat request to `providerId` through the
+// gateway configured in `manager`: { url, headers, body, model }.
+// `options.gatewayOptions` overrides the gateway options for this request.
+export function buildChatRequest(manager, providerId, options) {
+    const { provider, path, headers, body, model } = buildProviderRequest(manager, providerId, options);
+
+    return {
+        url: `${manager.getGatewayUrl(provider.segment)}${path}`,
+        headers: { ...manager.getGatewayHeaders(options.gatewayOptions), ...headers },
+        body,
+        model
+    };
+}
@@ -0,0 +1,68 @@
+// Filtering and per-response latency for the realtime event log
+// Works on RealtimeSession.events, [{ time, source: 'client' | 'server', event }],
+// so it applies equally to a live session and to an exported log.
+
+// The audio chatter that drowns out everything else while talking
+export const AUDIO_EVENT_TYPES = ['input_audio_buffer.append', 'response.audio.delta'];
+
+// Client or server events that ask for a response; the first one after the
+// previous response started is where that response's latency is counted from
+const TRIGGER_TYPES = ['input_audio_buffer.speech_stopped', 'input_audio_buffer.commit', 'response.create'];
+
+const TEXT_DELTA_TYPES = ['response.text.delta', 'response.audio_transcript.delta'];
+
+// `types` is a comma-separated list of substrings, e.g. "response., error"
+export function filterEvents(events, { source = 'all', types = '', hideAudio = false } = {}) {
+    const patterns = types.split(',').map(type => type.trim()).filter(Boolean);
+
+    return events.filter(({ source: eventSource, event }) => (source === 'all' || eventSource === source)
+        && !(hideAudio && AUDIO_EVENT_TYPES.includes(event.type))
+        && (patterns.length === 0 || patterns.some(pattern => event.type.includes(pattern))));
+}
+
+// One row per response:
+//   { id, trigger, status, startedAt, created, firstText, firstAudio, done }
+// `trigger` is the event type the response is timed from and `startedAt` its
+// time (epoch ms); the other marks are milliseconds after it, or null.
+export function buildResponseTimeline(events) {
+    const rows = new Map();
+    let trigger = null;
+
+    const mark = (id, field, at) => {
+        const row = rows.get(id);
+        if (row && row[field] === null) {
+            row[field] = at - row.startedAt;
+        }
+    };
+
+    for (const { time, event } of events) {
+        const at = Date.parse(time);
+
+        if (TRIGGER_TYPES.includes(event.type)) {
+            trigger ??= { type: event.type, at };
+        } else if (event.type === 'response.created') {
+            const startedAt = trigger?.at ?? at;
+            rows.set(event.response.id, {
+                id: event.response.id,
+                trigger: trigger?.type ?? null,
+                status: event.response.status,
+                startedAt,
+                created: at - startedAt,
+                firstText: null,
+                firstAudio: null,
+                done: null
+            });
+            trigger = null;
+        } else if (TEXT_DELTA_TYPES.includes(event.type)) {
+            mark(event.response_id, 'firstText', at);
+        } else if (event.type === 'response.audio.delta') {
+            mark(event.response_id, 'firstAudio', at);
+        } else if (event.type === 'response.done') {
+            mark(event.response.id, 'done', at);
+            const row = rows.get(event.response.id);
+            if (row) row.status = event.response.status;
+        }
+    }
+
+    return [...rows.values()];
+}
@@ -0,0 +1,555 @@
+// UI-agnostic realtime session shared by the Gateway and Direct voice pages
+// Owns the RealtimeClient, microphone capture and assistant audio playback and
+// reports everything through events, so pages only have to render them.
+//
+// Events:
+//   status    { status }               'connecting' | 'connected' | 'disconnected'
+//   message   { role, text, id }       conversation or system message to render
+//   recording { active, stream }       microphone capture started or stopped
+//   debug     { message }              diagnostic line for the debug panel
+//   event     { time, source, event }  raw client or server event, as logged
+// Tool calls and their results are reported as `message` with role 'tool'.
+// Messages and the raw client/server events are kept for getExport(); with
+// `recordFrames` set before connecting, getRecording() returns every frame.
+
+import { RealtimeAPI, RealtimeClient, RealtimeEventHandler } from 'openai-realtime-api';
+import { PCM16Player } from './audio-player.js';
+import { MicrophoneCapture } from './audio-recorder.js';
+import { DEFAULT_SESSION_SETTINGS, toSessionConfig } from './session-settings.js';
+import { SessionRecorder } from './session-recording.js';
+import { ToolRegistry } from './tools.js';
+import { createExport } from './transcript.js';
+
+// Audio formats and voice are fixed; the rest comes from the session settings
+export const DEFAULT_SESSION_CONFIG = {
+    ...toSessionConfig(DEFAULT_SESSION_SETTINGS),
+    voice: 'alloy',
+    input_audio_format: 'pcm16',
+    output_audio_format: 'pcm16'
+};
+
+// Oldest events are dropped beyond this; audio makes sessions chatty
+const MAX_EVENT_LOG = 5000;
+
+const collapseAudio = (base64) => `[${base64.length} base64 chars]`;
+
+// A copy of the event with base64 audio replaced by its length, wherever it
+// appears (e.g. input_audio content parts of conversation.item.create)
+function redactAudio(value, key = '') {
+    if (typeof value === 'string') {
+        return key === 'audio' ? collapseAudio(value) : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactAudio(item));
+    }
+    if (value && typeof value === 'object') {
+        const redacted = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactAudio(item, name)]));
+        if (typeof redacted.type === 'string' && redacted.type.endsWith('audio.delta') && typeof redacted.delta === 'string') {
+            redacted.delta = collapseAudio(redacted.delta);
+        }
+        return redacted;
+    }
+    return value;
+}
+
+// RealtimeAPI whose socket is opened by a transport.
+// The stock implementation can only authenticate with the
+// openai-insecure-api-key subprotocol, which rules out cf-aig-authorization.
+class TransportRealtimeAPI extends RealtimeAPI {
+    constructor({ transport, recorder = null, ...params }) {
+        super(params);
+        this.transport = transport;
+        this.recorder = recorder;
+    }
+
+    async connect() {
+        if (this.isConnected) {
+            return;
+        }
+
+        const url = new URL(this.url);
+        url.searchParams.set('model', this.model);
+
+        const ws = await this.transport.connect(url.toString());
+        this.recorder?.attach(ws);
+
+        // A frame that is not JSON (a gateway error page, a proxy banner)
+        // becomes an error event instead of throwing inside the listener
+        ws.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                const text = String(event.data);
+                this._log('Received a frame that is not JSON:', text);
+                message = {
+                    type: 'error',
+                    error: { type: 'invalid_frame', message: `Received a frame that is not JSON: ${text.slice(0, 200)}` }
+                };
+            }
+            this.receive(message.type, message);
+        });
+
+        return new Promise((resolve, reject) => {
+            const connectionErrorHandler = () => {
+                ws.close();
+                reject(new Error(`Could not connect to "${this.url}"`));
+            };
+
+            ws.addEventListener('error', connectionErrorHandler);
+            ws.addEventListener('open', () => {
+                this._log(`Connected to "${this.url}"`);
+                ws.removeEventListener('error', connectionErrorHandler);
+
+                ws.addEventListener('error', () => {
+                    this.disconnect(ws);
+                    this._log(`Error, disconnected from "${this.url}"`);
+                    this.dispatch('close', { type: 'close', error: true });
+                });
+
+                ws.addEventListener('close', (event) => {
+                    this.disconnect(ws);
+                    this._log(`Disconnected from "${this.url}"`);
+                    this.dispatch('close', {
+                        type: 'close',
+                        error: false,
+                        code: event.code,
+                        reason: event.reason
+                    });
+                });
+
+                this.ws = ws;
+                resolve();
+            });
+        });
+    }
+}
+
+class TransportRealtimeClient extends RealtimeClient {
+    constructor({ transport, recorder, url, model, debug, sessionConfig }) {
+        super({ url, model, debug, sessionConfig });
+
+        // Swap in the transport-aware socket layer and re-attach the
+        // conversation handlers the base constructor bound to the stock one
+        this.realtime = new TransportRealtimeAPI({ transport, recorder, url, model, debug });
+        this._addAPIEventHandlers();
+    }
+}
+
+export class RealtimeSession extends RealtimeEventHandler {
+    constructor({ transport }) {
+        super();
+        this.transport = transport;
+        this.client = null;
+        this.capture = null;
+        this.audioContext = null;
+        this.isConnected = false;
+        this.isRecording = false;
+        this.player = new PCM16Player();
+        // Between response.created and response.done, when a cancel has something to stop
+        this.responseInProgress = false;
+
+        // Everything shown on the page, [{ type, content, meta, id }], and the
+        // raw events as [{ time, source: 'client' | 'server', event }]
+        this.transcript = [];
+        this.events = [];
+        this.startedAt = Date.now();
+        this.on('message', (message) => this.recordMessage(message));
+
+        // Frame recording of the next connection (see session-recording.js)
+        this.recordFrames = false;
+        this.recorder = null;
+
+        this.initializeAudioContext();
+    }
+
+    // Messages with an id are updated in place as they stream in
+    recordMessage({ role, text, id }) {
+        const existing = id && this.transcript.find(entry => entry.id === id);
+        if (existing) {
+            existing.content = text;
+        } else {
+            this.transcript.push({ type: role, content: text, meta: '', id });
+        }
+    }
+
+    recordEvent(source, event) {
+        const entry = { time: new Date().toISOString(), source, event: redactAudio(event) };
+        this.events.push(entry);
+        if (this.events.length > MAX_EVENT_LOG) {
+            this.events.splice(0, this.events.length - MAX_EVENT_LOG);
+        }
+        this.dispatch('event', entry);
+    }
+
+    // Every frame of the last recorded connection, or null
+    getRecording() {
+        return this.recorder?.toJSON() ?? null;
+    }
+
+    // Transcript export (see transcript.js) with the event log
+    getExport() {
+        const manager = this.transport.configManager;
+        return createExport({
+            kind: 'realtime',
+            title: `Realtime session ${new Date(this.startedAt).toLocaleString()}`,
+            model: `${this.transport.label} · ${this.transport.getModel()}`,
+            profile: manager?.getActiveProfile?.() || '',
+            createdAt: this.startedAt,
+            transcript: this.transcript.map(({ type, content, meta }) => ({ type, content, meta })),
+            events: this.events
+        });
+    }
+
+    initializeAudioContext() {
+        if (typeof window === 'undefined') return;
+
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.player.init(this.audioContext);
+        } catch (error) {
+            console.error('Failed to initialize audio context:', error);
+            this.log('Audio initialization failed: ' + error.message);
+        }
+    }
+
+    buildSessionConfig(config) {
+        return {
+            ...DEFAULT_SESSION_CONFIG,
+            ...toSessionConfig(config.sessionSettings),
+            voice: config.voice || DEFAULT_SESSION_CONFIG.voice
+        };
+    }
+
+    // Push edited settings to a live session; the voice is left alone because
+    // it cannot change once the model has spoken
+    applySessionSettings(settings) {
+        if (!this.isConnected) return false;
+
+        this.client.updateSession(toSessionConfig(settings));
+        this.log('Sent session.update with new session settings');
+        return true;
+    }
+
+    async connect() {
+        if (this.isConnected) return;
+
+        const validation = this.transport.validate();
+        if (!validation.valid) {
+            this.notify('system', `Configuration errors: ${validation.errors.join(', ')}`);
+            return;
+        }
+
+        try {
+            this.setStatus('connecting');
+            this.log(`Connecting to OpenAI Realtime API via ${this.transport.label}...`);
+
+            // Browsers keep the AudioContext suspended until a user gesture
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+
+            const config = this.transport.getConfig();
+            const url = this.transport.getUrl();
+            const model = this.transport.getModel();
+
+            this.log(`Realtime URL: ${url}?model=${model}`);
+
+            this.recorder = this.recordFrames ? new SessionRecorder({ url, model }) : null;
+            this.client = new TransportRealtimeClient({
+                transport: this.transport,
+                recorder: this.recorder,
+                url,
+                model,
+                debug: !!config.debug,
+                sessionConfig: this.buildSessionConfig(config)
+            });
+
+            // Tools must be registered before connecting so the initial
+            // session.update carries them
+            this.registerTools(this.client, config);
+
+            // Set up event listeners before connecting
+            this.setupClientEventListeners(this.client);
+
+            await this.client.connect();
+
+            this.isConnected = true;
+            this.setStatus('connected');
+            this.log(`Connected to OpenAI Realtime API via ${this.transport.label}`);
+            this.notify('system', `Connected to OpenAI Realtime API via ${this.transport.label}`);
+
+        } catch (error) {
+            console.error('Connection error:', error);
+            this.client = null;
+            this.log('Connection failed: ' + error.message);
+            this.setStatus('disconnected');
+            this.notify('error', 'Failed to connect: ' + error.message);
+        }
+    }
+
+    registerTools(client, config) {
+        const tools = new ToolRegistry(config.toolsEnabled ? config.tools || [] : []);
+
+        // RealtimeClient runs the handler when a function_call item completes,
+        // then posts the function_call_output item and asks for a new response
+        for (const definition of tools.getRealtimeDefinitions()) {
+            client.addTool(definition, (args) => tools.call(definition.name, args));
+        }
+
+        if (tools.size > 0) {
+            this.log(`Registered tools: ${tools.getRealtimeDefinitions().map(tool => tool.name).join(', ')}`);
+        }
+    }
+
+    setupClientEventListeners(client) {
+        // Main conversation update event
+        client.on('conversation.updated', (event) => {
+            const { item, delta } = event;
+            if (!item) return;
+
+            if ((item.role === 'assistant' || item.role === 'user') && item.formatted) {
+                // Spoken turns only have a transcript
+                const text = item.formatted.text || item.formatted.transcript;
+                if (text) {
+                    this.dispatch('message', { role: item.role, text, id: item.id });
+                }
+                if (delta?.transcript && item.formatted.transcript) {
+                    const speaker = item.role === 'user' ? 'User' : 'Assistant';
+                    this.log(`${speaker} transcript: ${item.formatted.transcript}`);
+                }
+            }
+
+            // Assistant audio arrives as decoded PCM16 from response.audio.delta
+            if (delta?.audio) {
+                this.player.enqueue(delta.audio, item.id);
+            }
+        });
+
+        // The server detected user speech while the assistant may be talking
+        client.on('conversation.interrupted', () => {
+            this.interruptPlayback();
+        });
+
+        client.realtime.on('server.response.created', () => {
+            this.responseInProgress = true;
+        });
+        client.realtime.on('server.response.done', () => {
+            this.responseInProgress = false;
+        });
+
+        client.on('conversation.item.appended', (event) => {
+            if (event.item) {
+                this.log(`New item: ${event.item.type} from ${event.item.role}`);
+            }
+        });
+
+        client.on('conversation.item.completed', (event) => {
+            if (event.item) {
+                this.log(`Item completed: ${event.item.type}`);
+            }
+        });
+
+        // The model finished streaming a function call's arguments
+        client.realtime.on('server.response.function_call_arguments.done', (event) => {
+            this.notify('tool', `🔧 ${event.name}(${event.arguments})`);
+            this.log(`Function call ${event.call_id}: ${event.name}`);
+        });
+
+        // Our handler's result on its way back to the model
+        client.realtime.on('client.conversation.item.create', (event) => {
+            if (event.item?.type === 'function_call_output') {
+                this.notify('tool', `↩ ${event.item.output}`);
+            }
+        });
+
+        // Server-side errors arrive as regular `error` events on the socket
+        client.realtime.on('server.error', (event) => {
+            console.error('Server error:', event);
+            const errorMessage = event.error?.message || JSON.stringify(event.error);
+            this.notify('error', `Server error: ${errorMessage}`);
+            this.log(`Server error: ${errorMessage}`);
+        });
+
+        // The socket closed without us asking, e.g. the gateway dropped it
+        client.realtime.on('close', (event) => {
+            if (this.client !== client) return;
+
+            const detail = event.code ? ` (code ${event.code}${event.reason ? `: ${event.reason}` : ''})` : '';
+            this.log(`Connection closed by server${detail}`);
+            this.notify('error', `Connection closed${detail}`);
+            this.disconnect();
+        });
+
+        client.realtime.on('server.*', (event) => this.recordEvent('server', event));
+        client.realtime.on('client.*', (event) => this.recordEvent('client', event));
+
+        // Optional: Log all events for debugging
+        if (this.transport.getConfig().debug) {
+            client.realtime.on('server.*', (event) => {
+                console.log('Server event:', event.type, event);
+            });
+
+            client.realtime.on('client.*', (event) => {
+                console.log('Client event:', event.type, event);
+            });
+        }
+    }
+
+    async disconnect() {
+        this.player.stop();
+        this.responseInProgress = false;
+
+        const client = this.client;
+        this.client = null;
+        if (client) {
+            client.disconnect();
+        }
+
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.setStatus('disconnected');
+
+        if (wasConnected) {
+            this.log(`Disconnected from ${this.transport.label}`);
+            this.notify('system', 'Disconnected from server');
+        }
+
+        // Clean up recording if active
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+    }
+
+    interruptPlayback() {
+        if (this.player.isPlaying) {
+            const { itemId, sampleCount } = this.player.stop();
+
+            // Cancel, and tell the server how much of the assistant audio was actually heard
+            if (itemId && this.client) {
+                try {
+                    this.client.cancelResponse(itemId, sampleCount);
+                    this.responseInProgress = false;
+                } catch (error) {
+                    console.warn('Failed to cancel response:', error);
+                }
+            }
+            this.log(`Playback interrupted after ${sampleCount} samples`);
+        }
+
+        // The server may be mid-response before any of its audio has played
+        if (this.responseInProgress && this.client) {
+            this.client.cancelResponse();
+            this.responseInProgress = false;
+        }
+
+        this.notify('system', 'Response interrupted');
+    }
+
+    async startRecording() {
+        if (this.isRecording || !this.isConnected || !this.audioContext) return;
+
+        this.isRecording = true;
+
+        try {
+            const capture = new MicrophoneCapture(this.audioContext, {
+                onFrame: (samples) => this.sendAudioFrame(samples)
+            });
+            this.capture = capture;
+
+            const stream = await capture.start();
+
+            // Stopped (e.g. push-to-talk released) before the mic was ready
+            if (this.capture !== capture) {
+                await capture.stop();
+                return;
+            }
+
+            this.dispatch('recording', { active: true, stream });
+            this.notify('system', 'Recording started...');
+            this.log(`Recording audio (${this.audioContext.sampleRate} Hz mic, sending 24 kHz PCM16)...`);
+
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.isRecording = false;
+            this.capture = null;
+            this.notify('error', 'Failed to access microphone: ' + error.message);
+            this.log('Recording error: ' + error.message);
+        }
+    }
+
+    async stopRecording() {
+        if (!this.capture || !this.isRecording) return;
+
+        const capture = this.capture;
+        this.capture = null;
+
+        // Drains the final partial frame before we commit
+        await capture.stop();
+
+        this.isRecording = false;
+        this.dispatch('recording', { active: false, stream: null });
+        this.notify('system', 'Recording stopped');
+
+        // With server VAD the server commits and responds on its own; without
+        // it, createResponse() commits the buffer and asks for a response
+        if (this.client && !this.client.getTurnDetectionType()) {
+            this.client.createResponse();
+            this.log('Recording stopped and committed');
+        } else {
+            this.log('Recording stopped');
+        }
+    }
+
+    sendAudioFrame(samples) {
+        if (!this.isConnected || !this.client) return;
+
+        try {
+            // The client base64-encodes the Int16Array into input_audio_buffer.append
+            this.client.appendInputAudio(samples);
+        } catch (error) {
+            console.error('Failed to send audio frame:', error);
+            this.log('Audio send error: ' + error.message);
+        }
+    }
+
+    sendText(text) {
+        if (!text || !this.isConnected || !this.client) return false;
+
+        try {
+            // The user item is rendered when the server echoes it back
+            this.client.sendUserMessageContent([{
+                type: 'input_text',
+                text: text
+            }]);
+
+            this.log('Sent text message, waiting for response...');
+            return true;
+
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            this.notify('error', 'Failed to send message: ' + error.message);
+            return false;
+        }
+    }
+
+    clear() {
+        this.player.stop();
+        this.transcript = [];
+        this.events = [];
+        this.startedAt = Date.now();
+        this.log('Conversation cleared');
+    }
+
+    setStatus(status) {
+        this.dispatch('status', { status });
+    }
+
+    notify(role, text) {
+        this.dispatch('message', { role, text, id: null });
+    }
+
+    log(message) {
+        this.dispatch('debug', { message });
+    }
+}
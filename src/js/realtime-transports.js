@@ -0,0 +1,210 @@
+// Transports for realtime sessions
+// A transport decides where a RealtimeSession connects and how it authenticates.
+// Browsers can only authenticate a WebSocket through subprotocols, while Node
+// clients can send real headers, so each transport provides both.
+
+import { isBrowser } from 'openai-realtime-api';
+import { LOCKED_SECRETS_ERROR } from './config.js';
+
+const OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime';
+
+// Open a WebSocket using the native implementation in the browser and `ws` in Node
+export async function openWebSocket(url, { protocols = [], headers = {} } = {}) {
+    if (isBrowser) {
+        return new WebSocket(url, protocols);
+    }
+
+    const { WebSocket: NodeWebSocket } = await import('ws');
+    return new NodeWebSocket(url, protocols, { headers });
+}
+
+// Connects through Cloudflare AI Gateway using the shared ConfigManager.
+// In broker mode the page holds no credentials and asks the broker how to
+// connect instead (see BrokerTransport). `gatewayOptions` overrides the
+// configured gateway options (e.g. metadata) for this transport's sessions.
+export class GatewayTransport {
+    constructor(configManager, { gatewayOptions = {} } = {}) {
+        this.configManager = configManager;
+        this.gatewayOptions = gatewayOptions;
+        this.name = 'gateway';
+        this.broker = new BrokerTransport(configManager);
+    }
+
+    get label() {
+        return this.configManager.isBrokerMode() ? this.broker.label : 'Cloudflare AI Gateway';
+    }
+
+    getConfig() {
+        return this.configManager.getConfig();
+    }
+
+    validate() {
+        return this.configManager.validateConfig();
+    }
+
+    getUrl() {
+        return this.configManager.getWebSocketUrl();
+    }
+
+    getModel() {
+        return this.getConfig().realtimeModel || 'gpt-4o-mini-realtime-preview';
+    }
+
+    getProtocols() {
+        const openaiKey = this.configManager.getOpenAIKey();
+        const gatewayToken = this.configManager.getGatewayToken();
+        const protocols = ['realtime'];
+
+        if (openaiKey) {
+            protocols.push(`openai-insecure-api-key.${openaiKey}`);
+        }
+
+        if (gatewayToken) {
+            protocols.push(`cf-aig-authorization.${gatewayToken}`);
+        }
+
+        protocols.push('openai-beta.realtime-v1');
+        return protocols;
+    }
+
+    getHeaders() {
+        return this.configManager.getWebSocketHeaders(this.gatewayOptions);
+    }
+
+    connect(url) {
+        if (this.configManager.isBrokerMode()) {
+            return this.broker.connect(url);
+        }
+
+        return openWebSocket(url, {
+            protocols: this.getProtocols(),
+            headers: this.getHeaders()
+        });
+    }
+}
+
+// Connects with credentials issued by the broker (server/broker.js). The
+// broker either mints an ephemeral key for a direct gateway connection or,
+// for an authenticated gateway, points at its own WebSocket relay.
+export class BrokerTransport {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.name = 'broker';
+        this.label = 'Cloudflare AI Gateway (server-brokered)';
+    }
+
+    getConfig() {
+        return this.configManager.getConfig();
+    }
+
+    validate() {
+        return this.configManager.validateConfig();
+    }
+
+    getUrl() {
+        return this.configManager.getWebSocketUrl();
+    }
+
+    getModel() {
+        return this.getConfig().realtimeModel || 'gpt-4o-mini-realtime-preview';
+    }
+
+    // Ask the broker how to connect for this model
+    async createSession(model) {
+        const response = await fetch(`${this.configManager.getBrokerUrl()}/realtime/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, voice: this.getConfig().voice })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || `Broker returned HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    async connect(url) {
+        const model = new URL(url).searchParams.get('model') || this.getModel();
+        const session = await this.createSession(model);
+
+        const target = new URL(session.url, this.configManager.getBrokerUrl());
+        target.protocol = target.protocol.replace(/^http/, 'ws');
+        target.searchParams.set('model', session.model || model);
+
+        // The relay adds the server's credentials itself
+        if (session.mode === 'relay') {
+            return openWebSocket(target.toString(), { protocols: ['realtime'] });
+        }
+
+        const ephemeralKey = session.client_secret?.value;
+        if (!ephemeralKey) {
+            throw new Error('Broker did not return an ephemeral key');
+        }
+
+        return openWebSocket(target.toString(), {
+            protocols: ['realtime', `openai-insecure-api-key.${ephemeralKey}`, 'openai-beta.realtime-v1'],
+            headers: { 'Authorization': `Bearer ${ephemeralKey}`, 'OpenAI-Beta': 'realtime=v1' }
+        });
+    }
+}
+
+// Connects straight to OpenAI, bypassing the gateway, for comparison
+export class DirectTransport {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.name = 'direct';
+        this.label = 'OpenAI (direct)';
+    }
+
+    getConfig() {
+        return this.configManager.getConfig();
+    }
+
+    // Only the OpenAI key matters here; the gateway settings are ignored
+    validate() {
+        const errors = [];
+
+        if (this.configManager.isLocked()) {
+            errors.push(LOCKED_SECRETS_ERROR);
+        } else if (!this.getConfig().openaiKey) {
+            errors.push('OpenAI API Key is required');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    getUrl() {
+        return OPENAI_REALTIME_URL;
+    }
+
+    getModel() {
+        return this.getConfig().realtimeModel || 'gpt-4o-mini-realtime-preview';
+    }
+
+    getProtocols() {
+        const { openaiKey } = this.getConfig();
+        return [
+            'realtime',
+            `openai-insecure-api-key.${openaiKey}`,
+            'openai-beta.realtime-v1'
+        ];
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': `Bearer ${this.getConfig().openaiKey}`,
+            'OpenAI-Beta': 'realtime=v1'
+        };
+    }
+
+    connect(url) {
+        return openWebSocket(url, {
+            protocols: this.getProtocols(),
+            headers: this.getHeaders()
+        });
+    }
+}
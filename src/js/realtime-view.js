@@ -0,0 +1,249 @@
+// DOM view over a RealtimeSession
+// Both voice pages share the same markup ids, so this class wires buttons,
+// push-to-talk, the microphone visualizer, the playback meter and the
+// conversation log for whichever transport the page picked.
+
+import { initializeEventInspectorUI } from './event-inspector-panel.js';
+import { initializeTranscriptUI } from './transcript-panel.js';
+
+// Lines kept in the debug panel
+const MAX_DEBUG_LINES = 200;
+
+export class RealtimeView {
+    constructor(session, { barColor = () => 'rgb(248, 113, 113)' } = {}) {
+        this.session = session;
+        this.barColor = barColor;
+        this.analyser = null;
+
+        this.initializeElements();
+        this.attachEventListeners();
+        this.attachSessionListeners();
+        this.initializeAnalyser();
+        this.startPlaybackMeter();
+        this.eventInspector = initializeEventInspectorUI(session);
+
+        initializeTranscriptUI({
+            getExport: () => this.session.getExport(),
+            onError: (message) => this.addMessage('system', message)
+        });
+    }
+
+    initializeElements() {
+        // Connection elements
+        this.connectBtn = document.getElementById('connectBtn');
+        this.disconnectBtn = document.getElementById('disconnectBtn');
+        this.connectionIndicator = document.getElementById('connectionIndicator');
+        this.connectionText = document.getElementById('connectionText');
+
+        // Audio elements
+        this.startRecordingBtn = document.getElementById('startRecording');
+        this.stopRecordingBtn = document.getElementById('stopRecording');
+        this.pushToTalkBtn = document.getElementById('pushToTalk');
+        this.visualizerCanvas = document.getElementById('visualizer');
+        this.canvasContext = this.visualizerCanvas.getContext('2d');
+        this.playbackLevel = document.getElementById('playbackLevel');
+
+        // Text elements
+        this.textInput = document.getElementById('textInput');
+        this.sendTextBtn = document.getElementById('sendText');
+
+        // Messages and debug
+        this.conversationMessages = document.getElementById('conversationMessages');
+        this.clearLogBtn = document.getElementById('clearLog');
+        this.debugInfo = document.getElementById('debugInfo');
+    }
+
+    attachEventListeners() {
+        this.connectBtn.addEventListener('click', () => this.session.connect());
+        this.disconnectBtn.addEventListener('click', () => this.session.disconnect());
+
+        this.startRecordingBtn.addEventListener('click', () => this.session.startRecording());
+        this.stopRecordingBtn.addEventListener('click', () => this.session.stopRecording());
+
+        // Push to talk
+        if (this.pushToTalkBtn) {
+            let isPTTActive = false;
+
+            const release = () => {
+                if (!isPTTActive) return;
+                isPTTActive = false;
+                this.session.stopRecording();
+            };
+
+            this.pushToTalkBtn.addEventListener('mousedown', () => {
+                if (!this.session.isConnected || isPTTActive) return;
+                isPTTActive = true;
+                this.session.startRecording();
+            });
+
+            this.pushToTalkBtn.addEventListener('mouseup', release);
+            this.pushToTalkBtn.addEventListener('mouseleave', release);
+        }
+
+        this.sendTextBtn.addEventListener('click', () => this.sendTextMessage());
+        this.textInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.sendTextMessage();
+            }
+        });
+
+        this.clearLogBtn.addEventListener('click', () => this.clearConversation());
+    }
+
+    attachSessionListeners() {
+        this.session.on('status', ({ status }) => {
+            this.updateConnectionStatus(status);
+            if (status !== 'connecting') {
+                this.setControlsEnabled(status === 'connected');
+            }
+        });
+
+        this.session.on('message', ({ role, text, id }) => {
+            if (id) {
+                this.updateOrAddMessage(role, text, id);
+            } else {
+                this.addMessage(role, text);
+            }
+        });
+
+        this.session.on('recording', ({ active, stream }) => {
+            this.startRecordingBtn.disabled = active || !this.session.isConnected;
+            this.stopRecordingBtn.disabled = !active;
+            if (active) {
+                this.startVisualizer(stream);
+            }
+        });
+
+        this.session.on('debug', ({ message }) => this.updateDebug(message));
+    }
+
+    setControlsEnabled(connected) {
+        this.connectBtn.disabled = connected;
+        this.disconnectBtn.disabled = !connected;
+        this.startRecordingBtn.disabled = !connected;
+        this.textInput.disabled = !connected;
+        this.sendTextBtn.disabled = !connected;
+
+        if (this.pushToTalkBtn) {
+            this.pushToTalkBtn.disabled = !connected;
+        }
+
+        if (!connected) {
+            this.stopRecordingBtn.disabled = true;
+        }
+    }
+
+    sendTextMessage() {
+        const text = this.textInput.value.trim();
+        if (!text) return;
+
+        if (this.session.sendText(text)) {
+            this.textInput.value = '';
+        }
+    }
+
+    initializeAnalyser() {
+        const { audioContext } = this.session;
+        if (!audioContext) return;
+
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.bufferLength = this.analyser.frequencyBinCount;
+        this.dataArray = new Uint8Array(this.bufferLength);
+    }
+
+    startVisualizer(stream) {
+        if (!this.analyser || !stream) return;
+
+        const source = this.session.audioContext.createMediaStreamSource(stream);
+        source.connect(this.analyser);
+
+        const draw = () => {
+            if (!this.session.isRecording) {
+                // Clear visualizer when not recording
+                source.disconnect();
+                this.canvasContext.fillStyle = '#1f2937';
+                this.canvasContext.fillRect(0, 0, this.visualizerCanvas.width, this.visualizerCanvas.height);
+                return;
+            }
+
+            requestAnimationFrame(draw);
+
+            this.analyser.getByteFrequencyData(this.dataArray);
+
+            this.canvasContext.fillStyle = '#1f2937';
+            this.canvasContext.fillRect(0, 0, this.visualizerCanvas.width, this.visualizerCanvas.height);
+
+            const barWidth = (this.visualizerCanvas.width / this.bufferLength) * 2.5;
+            let barHeight;
+            let x = 0;
+
+            for (let i = 0; i < this.bufferLength; i++) {
+                barHeight = this.dataArray[i] / 2;
+
+                this.canvasContext.fillStyle = this.barColor(barHeight);
+                this.canvasContext.fillRect(x, this.visualizerCanvas.height - barHeight / 2, barWidth, barHeight);
+
+                x += barWidth + 1;
+            }
+        };
+
+        draw();
+    }
+
+    startPlaybackMeter() {
+        if (!this.playbackLevel) return;
+
+        const update = () => {
+            // RMS of speech rarely exceeds ~0.3, so scale it up for display
+            const level = Math.min(1, this.session.player.getLevel() * 3);
+            this.playbackLevel.style.width = `${Math.round(level * 100)}%`;
+            requestAnimationFrame(update);
+        };
+
+        update();
+    }
+
+    addMessage(type, content, id = null) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+        if (id) {
+            messageDiv.dataset.messageId = id;
+        }
+
+        const messageContent = document.createElement('p');
+        messageContent.textContent = content;
+        messageDiv.appendChild(messageContent);
+
+        this.conversationMessages.appendChild(messageDiv);
+        this.conversationMessages.scrollTop = this.conversationMessages.scrollHeight;
+    }
+
+    updateOrAddMessage(type, content, id) {
+        // Check if message with this ID already exists
+        const existingMessage = this.conversationMessages.querySelector(`[data-message-id="${id}"]`);
+
+        if (existingMessage) {
+            existingMessage.querySelector('p').textContent = content;
+        } else {
+            this.addMessage(type, content, id);
+        }
+    }
+
+    clearConversation() {
+        this.conversationMessages.innerHTML = '<div class="message system"><p>Conversation cleared</p></div>';
+        this.session.clear();
+        this.eventInspector.render();
+    }
+
+    updateConnectionStatus(status) {
+        this.connectionIndicator.className = `status-badge ${status}`;
+        this.connectionText.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    }
+
+    updateDebug(message) {
+        const timestamp = new Date().toLocaleTimeString();
+        const lines = this.debugInfo.textContent ? this.debugInfo.textContent.split('\n') : [];
+        this.debugInfo.textContent = [`[${timestamp}] ${message}`, ...lines.slice(0, MAX_DEBUG_LINES - 1)].join('\n');
+    }
+}
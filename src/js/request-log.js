@@ -0,0 +1,170 @@
+// Request/response log for the chat page's inspector
+// Every attempt sent through RequestLog.fetch() is recorded as
+//   { id, method, url, requestHeaders, requestBody, startedAt, status,
+//     statusText, responseHeaders, responseBody, durationMs, totalMs, error }
+// Keys are redacted before anything is stored, so entries can be shown and
+// copied as curl or Node fetch commands for support tickets.
+
+// Header names that carry credentials, in lowercase
+export const SECRET_HEADERS = ['authorization', 'cf-aig-authorization', 'x-api-key', 'api-key', 'x-goog-api-key'];
+
+export const REDACTED = '[REDACTED]';
+
+const MAX_ENTRIES = 50;
+
+// Longer bodies (e.g. long streams) are cut to this many characters
+const MAX_BODY_LENGTH = 100000;
+
+const truncate = (text) => (text.length > MAX_BODY_LENGTH
+    ? `${text.slice(0, MAX_BODY_LENGTH)}\n… (${text.length - MAX_BODY_LENGTH} more characters)`
+    : text);
+
+// Headers (a Headers instance or plain object) as a plain object with
+// credentials replaced; the auth scheme is kept, e.g. "Bearer [REDACTED]"
+export function redactHeaders(headers = {}) {
+    const entries = typeof headers.entries === 'function' && !Array.isArray(headers)
+        ? [...headers.entries()]
+        : Object.entries(headers);
+
+    return Object.fromEntries(entries.map(([name, value]) => {
+        if (!SECRET_HEADERS.includes(name.toLowerCase())) return [name, value];
+        const scheme = String(value).match(/^(Bearer|Basic)\s/i);
+        return [name, scheme ? `${scheme[1]} ${REDACTED}` : REDACTED];
+    }));
+}
+
+// A request body with the per-step provider headers of universal endpoint
+// requests redacted; other bodies are returned unchanged
+export function redactBody(body) {
+    if (typeof body !== 'string') return body ?? null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch {
+        return body;
+    }
+    if (!Array.isArray(parsed) || !parsed.some(step => step?.headers)) return body;
+
+    return JSON.stringify(parsed.map(step => (step?.headers ? { ...step, headers: redactHeaders(step.headers) } : step)));
+}
+
+export class RequestLog {
+    constructor({ maxEntries = MAX_ENTRIES } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.listeners = new Set();
+        this.nextId = 1;
+    }
+
+    // `listener(entries)` runs whenever an entry is added or completed
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) {
+            listener(this.entries);
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        this.notify();
+    }
+
+    // fetch() that records the request and its response; pass it as
+    // fetchWithRetry's `fetch` option to see every retry as its own entry.
+    // The response body is read from a clone, so callers still get the
+    // untouched response (streams included).
+    async fetch(url, init = {}, fetchImpl = globalThis.fetch) {
+        const started = Date.now();
+        const entry = {
+            id: this.nextId++,
+            method: init.method || 'GET',
+            url: String(url),
+            requestHeaders: redactHeaders(init.headers),
+            requestBody: redactBody(init.body),
+            startedAt: new Date(started).toISOString(),
+            status: null,
+            statusText: '',
+            responseHeaders: {},
+            responseBody: null,
+            durationMs: null,
+            totalMs: null,
+            error: null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        this.notify();
+
+        let response;
+        try {
+            response = await fetchImpl(url, init);
+        } catch (error) {
+            entry.error = error.message;
+            entry.durationMs = entry.totalMs = Date.now() - started;
+            this.notify();
+            throw error;
+        }
+
+        entry.status = response.status;
+        entry.statusText = response.statusText;
+        entry.responseHeaders = redactHeaders(response.headers);
+        entry.durationMs = Date.now() - started;
+        this.notify();
+
+        // Not awaited: streamed replies finish long after the headers arrive
+        response.clone().text().then(
+            (text) => { entry.responseBody = truncate(text); },
+            (error) => { entry.error = `Response body not read: ${error.message}`; }
+        ).finally(() => {
+            entry.totalMs = Date.now() - started;
+            this.notify();
+        });
+
+        return response;
+    }
+}
+
+// Quote for a POSIX shell
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// A curl command that repeats the request (with credentials redacted)
+export function toCurl(entry) {
+    const lines = [`curl -X ${entry.method} ${shellQuote(entry.url)}`];
+    for (const [name, value] of Object.entries(entry.requestHeaders)) {
+        lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    }
+    if (entry.requestBody !== null) {
+        lines.push(`--data-raw ${shellQuote(entry.requestBody)}`);
+    }
+    return lines.join(' \\\n  ');
+}
+
+// A Node (18+) script that repeats the request with fetch()
+export function toNodeFetch(entry) {
+    let body = null;
+    if (entry.requestBody !== null) {
+        try {
+            body = `JSON.stringify(${JSON.stringify(JSON.parse(entry.requestBody), null, 4).replace(/\n/g, '\n    ')})`;
+        } catch {
+            body = JSON.stringify(entry.requestBody);
+        }
+    }
+
+    const headers = JSON.stringify(entry.requestHeaders, null, 4).replace(/\n/g, '\n    ');
+    return [
+        `const response = await fetch(${JSON.stringify(entry.url)}, {`,
+        `    method: ${JSON.stringify(entry.method)},`,
+        `    headers: ${headers}${body ? ',' : ''}`,
+        ...(body ? [`    body: ${body}`] : []),
+        '});',
+        'console.log(response.status, Object.fromEntries(response.headers));',
+        'console.log(await response.text());'
+    ].join('\n');
+}
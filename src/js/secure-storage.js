@@ -0,0 +1,65 @@
+// Passphrase encryption for saved credentials
+// Secrets are encrypted with AES-GCM under a key derived from the passphrase
+// with PBKDF2 (SHA-256). Every save uses a fresh salt and IV, which are kept
+// next to the ciphertext; the passphrase itself is never stored.
+
+const PBKDF2_ITERATIONS = 600000;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt an object of secrets; returns a JSON-safe envelope
+export async function encryptSecrets(secrets, passphrase) {
+    if (!passphrase) {
+        throw new Error('A passphrase is required to encrypt saved keys');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    return {
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        data: toBase64(data)
+    };
+}
+
+// Decrypt an envelope from encryptSecrets(); a wrong passphrase fails the
+// AES-GCM integrity check
+export async function decryptSecrets(envelope, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(envelope.salt), envelope.iterations);
+
+    let data;
+    try {
+        data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+    } catch {
+        throw new Error('Wrong passphrase');
+    }
+
+    return JSON.parse(new TextDecoder().decode(data));
+}
@@ -0,0 +1,99 @@
+// WebSocket frame recordings of realtime sessions
+// A recording is
+//   { version, recordedAt, url, model, frames: [{ t, direction, data }], close }
+// where `t` is milliseconds since the socket was attached, `direction` is
+// 'client' or 'server' and `data` the parsed event (or the raw text of a frame
+// that is not JSON). `close` is { t, code, reason } once the socket closed.
+// Frames are kept verbatim, audio included, so server/replay-server.js can
+// play a session back exactly as it was received.
+
+export const RECORDING_VERSION = 1;
+
+// Keys in the URL are not written to the file
+const redactUrl = (url) => {
+    if (!url) return '';
+    const parsed = new URL(url);
+    if (parsed.searchParams.has('api_key')) parsed.searchParams.set('api_key', '[REDACTED]');
+    return parsed.toString();
+};
+
+function parseFrame(data) {
+    const text = typeof data === 'string' ? data : String(data);
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// Records the frames of one socket: a browser WebSocket or a Node `ws` one
+export class SessionRecorder {
+    constructor({ url = '', model = '', now = () => Date.now() } = {}) {
+        this.url = redactUrl(url);
+        this.model = model;
+        this.now = now;
+        this.recordedAt = new Date(now()).toISOString();
+        this.startedAt = now();
+        this.frames = [];
+        this.close = null;
+    }
+
+    // Wraps send() for client frames and listens for server frames
+    attach(socket) {
+        this.startedAt = this.now();
+
+        const send = socket.send.bind(socket);
+        socket.send = (data, ...rest) => {
+            this.record('client', data);
+            return send(data, ...rest);
+        };
+
+        socket.addEventListener('message', (event) => this.record('server', event.data));
+        socket.addEventListener('close', (event) => {
+            this.close = { t: this.now() - this.startedAt, code: event.code, reason: String(event.reason || '') };
+        });
+
+        return socket;
+    }
+
+    record(direction, data) {
+        this.frames.push({ t: this.now() - this.startedAt, direction, data: parseFrame(data) });
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: this.recordedAt,
+            url: this.url,
+            model: this.model,
+            frames: this.frames,
+            close: this.close
+        };
+    }
+}
+
+// Read a recording file, rejecting anything else
+export function parseRecording(text) {
+    let recording;
+    try {
+        recording = JSON.parse(text);
+    } catch {
+        throw new Error('The recording is not JSON');
+    }
+
+    if (recording?.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+        throw new Error('Not a realtime session recording');
+    }
+    const invalid = recording.frames.findIndex(frame => typeof frame?.t !== 'number'
+        || (frame.direction !== 'client' && frame.direction !== 'server'));
+    if (invalid !== -1) {
+        throw new Error(`Frame ${invalid + 1} needs a time and a direction`);
+    }
+
+    return recording;
+}
+
+// File name for a recording, e.g. "realtime-session-2026-01-01T00-00-00.json"
+export function recordingFileName(recording) {
+    return `realtime-session-${recording.recordedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+}
@@ -0,0 +1,60 @@
+// Session settings panel shared by the realtime pages
+// Every edit is persisted through the page's ConfigManager and, while a
+// session is connected, pushed to the server with session.update.
+
+import { configManager } from './config.js';
+import { DEFAULT_SESSION_SETTINGS } from './session-settings.js';
+
+export function initializeSessionSettingsUI(manager = configManager, session = null) {
+    const inputs = document.querySelectorAll('[data-session-setting]');
+    const resetButton = document.getElementById('resetSessionSettings');
+    const statusElement = document.getElementById('sessionSettingsStatus');
+
+    if (inputs.length === 0) return;
+
+    const showStatus = (message, type) => {
+        statusElement.textContent = message;
+        statusElement.className = `status-message ${type}`;
+
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status-message';
+        }, 3000);
+    };
+
+    const fillInputs = () => {
+        const settings = { ...DEFAULT_SESSION_SETTINGS, ...manager.getConfig().sessionSettings };
+        for (const input of inputs) {
+            input.value = settings[input.dataset.sessionSetting] ?? '';
+        }
+    };
+
+    const save = (sessionSettings) => {
+        manager.saveConfig({ sessionSettings });
+
+        if (session?.applySessionSettings(sessionSettings)) {
+            showStatus('Applied to the live session', 'success');
+        } else {
+            showStatus('Saved; applies on next connect', 'success');
+        }
+    };
+
+    for (const input of inputs) {
+        input.addEventListener('change', () => {
+            const sessionSettings = {};
+            for (const field of inputs) {
+                sessionSettings[field.dataset.sessionSetting] = field.tagName === 'TEXTAREA'
+                    ? field.value
+                    : field.value.trim();
+            }
+            save(sessionSettings);
+        });
+    }
+
+    resetButton.addEventListener('click', () => {
+        save({ ...DEFAULT_SESSION_SETTINGS });
+        fillInputs();
+    });
+
+    fillInputs();
+}
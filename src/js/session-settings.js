@@ -0,0 +1,56 @@
+// Realtime session settings
+// The settings panel edits a flat, form-shaped object; toSessionConfig() turns
+// it into the fields of a session.update. Everything here may be changed while
+// connected, so the same conversion serves the initial connect and live edits.
+
+// turn_detection is 'server_vad' or 'none'; a blank transcription_model turns
+// input transcription off and a blank max_response_output_tokens means 'inf'
+export const DEFAULT_SESSION_SETTINGS = {
+    instructions: 'You are a helpful assistant. Respond naturally in conversation.',
+    modalities: 'text,audio',
+    transcription_model: 'whisper-1',
+    turn_detection: 'server_vad',
+    vad_threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 500,
+    temperature: 0.8,
+    max_response_output_tokens: 4096
+};
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+// Use the number if the field holds one, otherwise fall back to the default
+const numberOr = (value, fallback) => {
+    const number = Number(value);
+    return isBlank(value) || Number.isNaN(number) ? fallback : number;
+};
+
+export function toSessionConfig(settings = {}) {
+    const merged = { ...DEFAULT_SESSION_SETTINGS, ...settings };
+    const defaults = DEFAULT_SESSION_SETTINGS;
+
+    const modalities = String(merged.modalities)
+        .split(',')
+        .map(modality => modality.trim())
+        .filter(Boolean);
+
+    return {
+        instructions: merged.instructions,
+        modalities: modalities.length > 0 ? modalities : defaults.modalities.split(','),
+        input_audio_transcription: isBlank(merged.transcription_model)
+            ? null
+            : { model: merged.transcription_model },
+        turn_detection: merged.turn_detection === 'none'
+            ? null
+            : {
+                type: 'server_vad',
+                threshold: numberOr(merged.vad_threshold, defaults.vad_threshold),
+                prefix_padding_ms: Math.round(numberOr(merged.prefix_padding_ms, defaults.prefix_padding_ms)),
+                silence_duration_ms: Math.round(numberOr(merged.silence_duration_ms, defaults.silence_duration_ms))
+            },
+        temperature: numberOr(merged.temperature, defaults.temperature),
+        max_response_output_tokens: isBlank(merged.max_response_output_tokens)
+            ? 'inf'
+            : Math.round(numberOr(merged.max_response_output_tokens, defaults.max_response_output_tokens))
+    };
+}
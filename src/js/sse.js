@@ -0,0 +1,84 @@
+// Server-Sent Events parsing for streaming chat completions
+// Network chunks do not line up with SSE lines, so the parser keeps the
+// trailing partial line buffered until the rest of it arrives.
+
+export class SSEParser {
+    constructor() {
+        this.buffer = '';
+        this.dataLines = [];
+    }
+
+    // Feed decoded text; returns the data payloads of every completed event
+    push(text) {
+        this.buffer += text;
+
+        const lines = this.buffer.split('\n');
+        // The last element is either '' or an incomplete line
+        this.buffer = lines.pop();
+
+        const events = [];
+        for (const line of lines) {
+            this.processLine(line.endsWith('\r') ? line.slice(0, -1) : line, events);
+        }
+        return events;
+    }
+
+    // Call once the stream ends to emit an event missing its final blank line
+    flush() {
+        const events = [];
+        if (this.buffer) {
+            this.processLine(this.buffer, events);
+            this.buffer = '';
+        }
+        this.processLine('', events);
+        return events;
+    }
+
+    processLine(line, events) {
+        // A blank line dispatches the event built from the preceding data lines
+        if (line === '') {
+            if (this.dataLines.length > 0) {
+                events.push(this.dataLines.join('\n'));
+                this.dataLines = [];
+            }
+            return;
+        }
+
+        // Comment lines (e.g. keep-alives) start with a colon
+        if (line.startsWith(':')) return;
+
+        if (line.startsWith('data:')) {
+            const value = line.slice(5);
+            this.dataLines.push(value.startsWith(' ') ? value.slice(1) : value);
+        }
+    }
+}
+
+// Iterate over the data payloads of an SSE response body. Stopping early
+// (break, return or a throw in the caller or parser) cancels the body so the
+// connection is not left streaming into a locked reader.
+export async function* readSSE(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = new SSEParser();
+    let finished = false;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            // stream: true keeps multi-byte characters split across chunks intact
+            yield* parser.push(decoder.decode(value, { stream: true }));
+        }
+        finished = true;
+
+        yield* parser.push(decoder.decode());
+        yield* parser.flush();
+    } finally {
+        if (!finished) {
+            await reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+    }
+}
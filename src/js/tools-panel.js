@@ -0,0 +1,132 @@
+// Tool registry panel shared by the chat and realtime pages
+// Lists the registered tools, lets the user toggle, delete or add them, and
+// persists the result through the page's ConfigManager.
+
+import { configManager } from './config.js';
+import { BUILTIN_HANDLERS, DEFAULT_TOOLS, validateTool } from './tools.js';
+
+export function initializeToolsUI(manager = configManager) {
+    const toolsEnabled = document.getElementById('toolsEnabled');
+    const toolsList = document.getElementById('toolsList');
+    const nameInput = document.getElementById('toolName');
+    const descriptionInput = document.getElementById('toolDescription');
+    const parametersInput = document.getElementById('toolParameters');
+    const handlerSelect = document.getElementById('toolHandler');
+    const addButton = document.getElementById('addTool');
+    const resetButton = document.getElementById('resetTools');
+    const statusElement = document.getElementById('toolsStatus');
+
+    if (!toolsList) return;
+
+    const getTools = () => manager.getConfig().tools || [];
+
+    const showStatus = (message, type) => {
+        statusElement.textContent = message;
+        statusElement.className = `status-message ${type}`;
+
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status-message';
+        }, 3000);
+    };
+
+    const render = () => {
+        toolsList.innerHTML = '';
+
+        for (const tool of getTools()) {
+            const item = document.createElement('li');
+            item.className = 'tool-item';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = tool.enabled !== false;
+            checkbox.addEventListener('change', () => {
+                manager.saveConfig({
+                    tools: getTools().map(t => (t.name === tool.name ? { ...t, enabled: checkbox.checked } : t))
+                });
+            });
+
+            const name = document.createElement('code');
+            name.textContent = tool.name;
+            label.append(checkbox, name);
+
+            const handler = document.createElement('span');
+            handler.className = 'tool-handler';
+            handler.textContent = BUILTIN_HANDLERS[tool.handler]?.label || tool.handler;
+            handler.title = tool.description || '';
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-link';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                manager.saveConfig({ tools: getTools().filter(t => t.name !== tool.name) });
+                render();
+            });
+
+            item.append(label, handler, removeButton);
+            toolsList.appendChild(item);
+        }
+
+        if (getTools().length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'tool-item empty';
+            empty.textContent = 'No tools registered';
+            toolsList.appendChild(empty);
+        }
+    };
+
+    // Populate the handler choices from the built-ins
+    for (const [key, { label }] of Object.entries(BUILTIN_HANDLERS)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        handlerSelect.appendChild(option);
+    }
+
+    if (toolsEnabled) {
+        toolsEnabled.checked = !!manager.getConfig().toolsEnabled;
+        toolsEnabled.addEventListener('change', () => {
+            manager.saveConfig({ toolsEnabled: toolsEnabled.checked });
+        });
+    }
+
+    addButton.addEventListener('click', () => {
+        let parameters;
+        try {
+            parameters = JSON.parse(parametersInput.value || '{"type": "object", "properties": {}}');
+        } catch (error) {
+            showStatus(`Parameters are not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        const tool = {
+            name: nameInput.value.trim(),
+            description: descriptionInput.value.trim(),
+            parameters,
+            handler: handlerSelect.value,
+            enabled: true
+        };
+
+        const errors = validateTool(tool, getTools());
+        if (errors.length > 0) {
+            showStatus(errors.join(', '), 'error');
+            return;
+        }
+
+        manager.saveConfig({ tools: [...getTools(), tool] });
+        nameInput.value = '';
+        descriptionInput.value = '';
+        parametersInput.value = '';
+        render();
+        showStatus(`Tool "${tool.name}" registered`, 'success');
+    });
+
+    resetButton.addEventListener('click', () => {
+        manager.saveConfig({ tools: DEFAULT_TOOLS.map(tool => ({ ...tool })) });
+        render();
+        showStatus('Built-in tools restored', 'success');
+    });
+
+    render();
+}
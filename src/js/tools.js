@@ -0,0 +1,264 @@
+// Function calling support shared by the text chat and realtime pages
+// Tools are JSON-schema definitions the user registers in the UI. Each one is
+// backed by a built-in local handler, so no code ever comes from the page.
+
+// Safe arithmetic evaluator for the calculator tool (no eval)
+// Grammar: expr    = term (('+' | '-') term)*
+//          term    = unary (('*' | '/' | '%') unary)*
+//          unary   = ('-' | '+') unary | power
+//          power   = primary ('^' unary)?
+//          primary = name '(' expr ')' | name | number | '(' expr ')'
+const MATH_FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    exp: Math.exp
+};
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+export function evaluateExpression(expression) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^()]|\S/gi) || [];
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`Expected "${token}"`);
+        }
+    };
+
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = parseUnary();
+            if (operator === '*') value *= right;
+            else if (operator === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    };
+
+    const parseUnary = () => {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // Right-associative, and binds tighter than unary minus: -2^2 = -4
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token === undefined) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        if (/^(\d|\.)/.test(token)) {
+            return parseFloat(token);
+        }
+
+        const name = token.toLowerCase();
+        if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+            expect('(');
+            const value = parseExpression();
+            expect(')');
+            return MATH_FUNCTIONS[name](value);
+        }
+
+        if (Object.hasOwn(MATH_CONSTANTS, name)) {
+            return MATH_CONSTANTS[name];
+        }
+
+        throw new Error(`Unexpected token "${token}"`);
+    };
+
+    const result = parseExpression();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected token "${peek()}"`);
+    }
+    return result;
+}
+
+// Local handlers a registered tool can be backed by
+export const BUILTIN_HANDLERS = {
+    calculator: {
+        label: 'Calculator',
+        run: ({ expression }) => ({
+            expression,
+            result: evaluateExpression(expression)
+        })
+    },
+    current_time: {
+        label: 'Current time',
+        run: ({ timezone } = {}) => {
+            const now = new Date();
+            return {
+                iso: now.toISOString(),
+                local: now.toLocaleString('en-US', timezone ? { timeZone: timezone } : {}),
+                timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+                unix: Math.floor(now.getTime() / 1000)
+            };
+        }
+    },
+    json_echo: {
+        label: 'JSON echo',
+        run: (args) => ({ echo: args })
+    }
+};
+
+export const DEFAULT_TOOLS = [
+    {
+        name: 'calculator',
+        description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, pi and e.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression to evaluate, e.g. "(2 + 3) * 4"' }
+            },
+            required: ['expression']
+        },
+        handler: 'calculator',
+        enabled: true
+    },
+    {
+        name: 'get_current_time',
+        description: 'Get the current date and time, optionally in a specific IANA timezone.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA timezone such as "Asia/Tokyo"' }
+            }
+        },
+        handler: 'current_time',
+        enabled: true
+    },
+    {
+        name: 'echo_json',
+        description: 'Echo back the JSON arguments it receives. Useful for checking argument passing.',
+        parameters: {
+            type: 'object',
+            properties: {
+                payload: { type: 'object', description: 'Any JSON object' }
+            },
+            required: ['payload']
+        },
+        handler: 'json_echo',
+        enabled: true
+    }
+];
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Check a tool definition before it is registered; returns a list of problems
+export function validateTool(tool, existingTools = []) {
+    const errors = [];
+
+    if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+        errors.push('Name must be 1-64 letters, digits, underscores or dashes');
+    } else if (existingTools.some(existing => existing.name === tool.name)) {
+        errors.push(`A tool named "${tool.name}" already exists`);
+    }
+
+    if (!tool.parameters || typeof tool.parameters !== 'object' || tool.parameters.type !== 'object') {
+        errors.push('Parameters must be a JSON schema with "type": "object"');
+    }
+
+    if (!Object.hasOwn(BUILTIN_HANDLERS, tool.handler || '')) {
+        errors.push(`Unknown handler "${tool.handler}"`);
+    }
+
+    return errors;
+}
+
+export class ToolRegistry {
+    constructor(tools = []) {
+        this.tools = tools.filter(tool => tool.enabled !== false && Object.hasOwn(BUILTIN_HANDLERS, tool.handler));
+    }
+
+    get size() {
+        return this.tools.length;
+    }
+
+    // Chat Completions format: { type, function: { name, description, parameters } }
+    getChatDefinitions() {
+        return this.tools.map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters }
+        }));
+    }
+
+    // Realtime session format: { name, description, parameters }
+    // (RealtimeClient.addTool() adds the `type: 'function'` wrapper itself)
+    getRealtimeDefinitions() {
+        return this.tools.map(({ name, description, parameters }) => ({
+            name,
+            description,
+            parameters
+        }));
+    }
+
+    // Run a tool call; arguments may be the raw JSON string from the model.
+    // Failures are returned as { error } so the model can see what went wrong.
+    async call(name, args) {
+        const tool = this.tools.find(candidate => candidate.name === name);
+        if (!tool) {
+            return { error: `Unknown tool "${name}"` };
+        }
+
+        let parsedArgs = args;
+        if (typeof args === 'string') {
+            try {
+                parsedArgs = args.trim() ? JSON.parse(args) : {};
+            } catch (error) {
+                return { error: `Invalid JSON arguments: ${error.message}` };
+            }
+        }
+
+        try {
+            return await BUILTIN_HANDLERS[tool.handler].run(parsedArgs || {});
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+}
@@ -0,0 +1,66 @@
+// Transcript export (and, on the chat page, import) controls
+// The page supplies the export (see transcript.js) and handles imported
+// conversations; this module only wires the format picker and files.
+
+import { EXPORT_FORMATS, exportFileName, formatExport, parseTranscript } from './transcript.js';
+
+// Save `text` as a download named `fileName`
+export function downloadText(fileName, text, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// `getExport()` returns the export, or null when there is nothing to export;
+// `onImport(conversations)` receives parsed imports; problems go to `onError`
+export function initializeTranscriptUI({ getExport, onImport = null, onError }) {
+    const formatSelect = document.getElementById('exportFormat');
+    const exportButton = document.getElementById('exportTranscript');
+    const importButton = document.getElementById('importTranscript');
+    const importInput = document.getElementById('importTranscriptFile');
+
+    if (!exportButton) return;
+
+    for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = label;
+        formatSelect.appendChild(option);
+    }
+
+    exportButton.addEventListener('click', () => {
+        const exported = getExport();
+        if (!exported || exported.transcript.length === 0) {
+            onError('Nothing to export yet');
+            return;
+        }
+
+        const format = formatSelect.value;
+        downloadText(exportFileName(exported, format), formatExport(exported, format), EXPORT_FORMATS[format].type);
+    });
+
+    if (!onImport || !importButton) return;
+
+    importButton.addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        if (!file) return;
+
+        const text = await file.text();
+        importInput.value = '';
+
+        try {
+            const conversations = parseTranscript(text);
+            if (conversations.length === 0) {
+                throw new Error('The file has no conversations');
+            }
+            await onImport(conversations);
+        } catch (error) {
+            onError(`Import failed: ${error.message}`);
+        }
+    });
+}
@@ -0,0 +1,168 @@
+// Transcript export and import for chat and realtime conversations
+// An export is
+//   { version, kind: 'chat' | 'realtime', title, model, profile, createdAt,
+//     exportedAt, messages, transcript, events? }
+// where `messages` is the Chat Completions conversation, `transcript` the
+// [{ type, content, meta? }] entries shown on the page and `events` the raw
+// realtime event log. It is written out as JSON, Markdown, or OpenAI
+// chat-format JSONL ({"messages": [...]} per line) for evals and fine-tuning.
+
+export const TRANSCRIPT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+    json: { label: 'JSON (with event log)', extension: 'json', type: 'application/json' },
+    jsonl: { label: 'OpenAI chat JSONL', extension: 'jsonl', type: 'application/jsonl' }
+};
+
+// Chat messages from page entries, for conversations (realtime) that only
+// have a transcript; tool and system notices are left out
+export function messagesFromTranscript(transcript) {
+    return transcript
+        .filter(entry => (entry.type === 'user' || entry.type === 'assistant') && entry.content)
+        .map(entry => ({ role: entry.type, content: entry.content }));
+}
+
+// Page entries from chat messages, for imports without a transcript
+export function transcriptFromMessages(messages) {
+    const calls = new Map();
+    const transcript = [];
+
+    for (const message of messages) {
+        if (message.role === 'assistant') {
+            for (const call of message.tool_calls || []) {
+                calls.set(call.id, call.function);
+            }
+            if (message.content) {
+                transcript.push({ type: 'assistant', content: message.content, meta: '' });
+            }
+        } else if (message.role === 'tool') {
+            const call = calls.get(message.tool_call_id);
+            const content = call
+                ? `🔧 ${call.name}(${call.arguments}) → ${message.content}`
+                : `🔧 → ${message.content}`;
+            transcript.push({ type: 'tool', content, meta: '' });
+        } else {
+            transcript.push({ type: message.role, content: String(message.content ?? ''), meta: '' });
+        }
+    }
+
+    return transcript;
+}
+
+export function createExport({ kind, title, model = '', profile = '', createdAt = Date.now(), messages, transcript = [], events }) {
+    const exported = {
+        version: TRANSCRIPT_VERSION,
+        kind,
+        title,
+        model,
+        profile,
+        createdAt: new Date(createdAt).toISOString(),
+        exportedAt: new Date().toISOString(),
+        messages: messages ?? messagesFromTranscript(transcript),
+        transcript
+    };
+    if (events) exported.events = events;
+    return exported;
+}
+
+const HEADINGS = { user: 'User', assistant: 'Assistant' };
+
+export function toMarkdown(exported) {
+    const lines = [
+        `# ${exported.title}`,
+        '',
+        `- **Kind**: ${exported.kind === 'realtime' ? 'Realtime' : 'Chat'}`,
+        ...(exported.model ? [`- **Model**: ${exported.model}`] : []),
+        ...(exported.profile ? [`- **Profile**: ${exported.profile}`] : []),
+        `- **Started**: ${exported.createdAt}`,
+        `- **Exported**: ${exported.exportedAt}`
+    ];
+
+    for (const { type, content, meta } of exported.transcript) {
+        lines.push('');
+        if (HEADINGS[type]) {
+            lines.push(`## ${HEADINGS[type]}${meta ? ` · ${meta}` : ''}`, '', content);
+        } else {
+            // Tool calls and notices are quoted under the turn they belong to
+            const label = type.charAt(0).toUpperCase() + type.slice(1);
+            lines.push(...`**${label}**: ${content}`.split('\n').map(line => `> ${line}`));
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+export function toJSONL(exported) {
+    return `${JSON.stringify({ messages: exported.messages })}\n`;
+}
+
+export function formatExport(exported, format) {
+    switch (format) {
+        case 'markdown':
+            return toMarkdown(exported);
+        case 'json':
+            return `${JSON.stringify(exported, null, 2)}\n`;
+        case 'jsonl':
+            return toJSONL(exported);
+        default:
+            throw new Error(`Unknown export format "${format}"`);
+    }
+}
+
+// File name for an export, e.g. "what-is-6-7.md"
+export function exportFileName(exported, format) {
+    const slug = exported.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    return `${slug || 'conversation'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+const isMessageList = (messages) => Array.isArray(messages)
+    && messages.every(message => message && typeof message.role === 'string');
+
+// Conversations from a JSON export or chat-format JSONL, as
+// [{ title, model, profile, messages, transcript }]
+export function parseTranscript(text) {
+    const trimmed = String(text).trim();
+
+    let whole = null;
+    try {
+        whole = JSON.parse(trimmed);
+    } catch {
+        // Not a single JSON document; try JSONL below
+    }
+
+    if (whole && !Array.isArray(whole) && (whole.transcript || whole.version)) {
+        const transcript = Array.isArray(whole.transcript) ? whole.transcript : null;
+        const messages = isMessageList(whole.messages) ? whole.messages : messagesFromTranscript(transcript || []);
+        if (messages.length === 0) {
+            throw new Error('The export has no messages');
+        }
+        return [{
+            title: whole.title || '',
+            model: whole.model || '',
+            profile: whole.profile || '',
+            messages,
+            transcript: transcript || transcriptFromMessages(messages)
+        }];
+    }
+
+    const lines = trimmed.split('\n').filter(line => line.trim());
+    return lines.map((line, index) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            throw new Error(`Line ${index + 1} is not JSON`);
+        }
+        if (!isMessageList(record?.messages)) {
+            throw new Error(`Line ${index + 1} has no "messages" array`);
+        }
+        return {
+            title: '',
+            model: '',
+            profile: '',
+            messages: record.messages,
+            transcript: transcriptFromMessages(record.messages)
+        };
+    });
+}
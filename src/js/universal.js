@@ -0,0 +1,93 @@
+// Provider fallback chains through the gateway's universal endpoint
+// One POST to .../{account}/{gateway} carries an array of steps; the gateway
+// tries them in order until one succeeds and names it in the cf-aig-step
+// response header. Each step is built from a saved profile (keys, model and
+// request parameters) and a provider, while the gateway itself and its
+// cf-aig-authorization token come from the active profile.
+
+import { buildProviderRequest, getProvider } from './providers.js';
+
+// Problems with `chain` ([{ profile, provider }]) as a list of messages
+export function validateFallbackChain(manager, chain) {
+    if (manager.isBrokerMode()) {
+        return ['Fallback chains are not available in server-brokered mode'];
+    }
+    if (chain.length === 0) {
+        return ['Add at least one step to the fallback chain'];
+    }
+
+    const errors = [];
+    const { accountId, gatewayId } = manager.getConfig();
+    if (!accountId) errors.push('Cloudflare Account ID is required');
+    if (!gatewayId) errors.push('Gateway ID is required');
+    errors.push(...manager.getGatewayOptionErrors());
+
+    chain.forEach((step, index) => {
+        const prefix = `Step ${index + 1} (${step.profile}):`;
+        try {
+            const stepManager = manager.forProfile(step.profile);
+            if (stepManager.isBrokerMode()) {
+                errors.push(`${prefix} server-brokered profiles cannot be used in a fallback chain`);
+                return;
+            }
+            // The gateway settings and options of the step's profile are not used
+            const unused = new Set(stepManager.getGatewayOptionErrors());
+            for (const error of stepManager.validateConfig(step.provider).errors) {
+                if (!/Account ID|Gateway ID/.test(error) && !unused.has(error)) {
+                    errors.push(`${prefix} ${error}`);
+                }
+            }
+        } catch (error) {
+            errors.push(`${prefix} ${error.message}`);
+        }
+    });
+
+    return errors;
+}
+
+// The universal endpoint request for `chain`: { url, headers, body, steps }
+// where `steps` describes each step as { profile, provider, model }
+export function buildUniversalRequest(manager, chain, { messages, tools = [], stream = false, gatewayOptions }) {
+    const body = [];
+    const steps = [];
+
+    for (const { profile, provider: providerId } of chain) {
+        const { provider, path, headers, body: query, model } = buildProviderRequest(
+            manager.forProfile(profile),
+            providerId,
+            { messages, tools, stream }
+        );
+
+        body.push({
+            provider: provider.segment,
+            endpoint: path.replace(/^\//, ''),
+            headers: { 'Content-Type': 'application/json', ...headers },
+            query
+        });
+        steps.push({ profile, provider: providerId, model });
+    }
+
+    return {
+        url: manager.getUniversalUrl(),
+        headers: manager.getGatewayHeaders(gatewayOptions),
+        body,
+        steps
+    };
+}
+
+// Index of the step that answered; the header is absent when the first did.
+// null if the header names no step of `steps`.
+export function getAnsweringStep(response, steps) {
+    const index = Number(response.headers.get('cf-aig-step') ?? 0);
+    return Number.isInteger(index) && index >= 0 && index < steps.length ? index : null;
+}
+
+// Label for a reply, e.g. "Fallback step 2/3: Anthropic · claude-3-5-haiku-latest"
+export function describeStep(steps, index) {
+    if (index === null) {
+        return `Fallback chain (${steps.length} steps)`;
+    }
+
+    const step = steps[index];
+    return `Fallback step ${index + 1}/${steps.length}: ${getProvider(step.provider).label} · ${step.model}`;
+}
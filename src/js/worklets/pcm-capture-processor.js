@@ -0,0 +1,55 @@
+// AudioWorklet processor that taps the microphone for PCM16 encoding
+// Runs on the audio rendering thread: it only downmixes to mono and batches
+// samples, then hands them to the main thread where they are resampled.
+// This file is loaded with audioWorklet.addModule() and must stay self-contained.
+
+const BATCH_SIZE = 2048;
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.batch = new Float32Array(BATCH_SIZE);
+        this.batchLength = 0;
+        this.active = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data?.type === 'stop') {
+                this.flush();
+                this.active = false;
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    flush() {
+        if (this.batchLength === 0) return;
+
+        const samples = this.batch.slice(0, this.batchLength);
+        this.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+        this.batchLength = 0;
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (!channels || channels.length === 0) {
+            return this.active;
+        }
+
+        const frameCount = channels[0].length;
+        for (let i = 0; i < frameCount; i++) {
+            let sum = 0;
+            for (let c = 0; c < channels.length; c++) {
+                sum += channels[c][i];
+            }
+            this.batch[this.batchLength++] = sum / channels.length;
+
+            if (this.batchLength === BATCH_SIZE) {
+                this.flush();
+            }
+        }
+
+        return this.active;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PCMCaptureProcessor);
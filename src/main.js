@@ -1,6 +1,9 @@
 // Main entry point for the Vite application
 // This file is loaded by index.html
 
+import { configManager } from './js/config.js';
+import { initializeProfileUI } from './js/profile-panel.js';
+
 console.log('Cloudflare AI Gateway + OpenAI POC initialized');
 console.log('Powered by Vite ⚡');
 
@@ -11,7 +14,7 @@ console.log('Powered by Vite ⚡');
 const checkBrowserSupport = () => {
     const features = {
         'WebSocket': typeof WebSocket !== 'undefined',
-        'MediaRecorder': typeof MediaRecorder !== 'undefined',
+        'AudioWorklet': typeof AudioWorkletNode !== 'undefined',
         'getUserMedia': navigator.mediaDevices && navigator.mediaDevices.getUserMedia,
         'AudioContext': typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined',
         'ES Modules': true // If this code runs, ES modules are supported
@@ -49,11 +52,16 @@ const checkBrowserSupport = () => {
     }
 };
 
-// Check browser support when DOM is ready
+const initialize = () => {
+    checkBrowserSupport();
+    initializeProfileUI(configManager);
+};
+
+// Check browser support and set up the profile switcher when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', checkBrowserSupport);
+    document.addEventListener('DOMContentLoaded', initialize);
 } else {
-    checkBrowserSupport();
+    initialize();
 }
 
 // Export for use in other modules if needed
@@ -0,0 +1,159 @@
+// Microphone audio on its way to the Realtime API: downmixing and batching
+// in the capture worklet, then resampling to 24 kHz PCM16 frames
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_FRAME_SAMPLES, MicrophoneCapture, PCM16Encoder, floatToPCM16 } from '../src/js/audio-recorder.js';
+
+// Feed `seconds` of a quiet sine at `sampleRate` in render-quantum blocks
+function encode(sampleRate, seconds, blockSize = 128) {
+    const encoder = new PCM16Encoder({ inputSampleRate: sampleRate });
+    const total = Math.round(sampleRate * seconds);
+    const frames = [];
+
+    for (let start = 0; start < total; start += blockSize) {
+        const block = new Float32Array(Math.min(blockSize, total - start));
+        for (let i = 0; i < block.length; i++) {
+            block[i] = 0.5 * Math.sin((2 * Math.PI * 440 * (start + i)) / sampleRate);
+        }
+        frames.push(...encoder.push(block));
+    }
+    return { frames, remainder: encoder.flush() };
+}
+
+// Load the worklet with the AudioWorkletGlobalScope pieces it uses
+async function loadCaptureProcessor() {
+    let Processor;
+    globalThis.AudioWorkletProcessor = class {
+        constructor() {
+            this.posted = [];
+            this.port = { postMessage: (message) => this.posted.push(message), onmessage: null };
+        }
+    };
+    globalThis.registerProcessor = (name, processor) => {
+        Processor = processor;
+    };
+
+    try {
+        await import(`../src/js/worklets/pcm-capture-processor.js?${Date.now()}`);
+    } finally {
+        delete globalThis.AudioWorkletProcessor;
+        delete globalThis.registerProcessor;
+    }
+    return Processor;
+}
+
+describe('floatToPCM16', () => {
+    it('maps full scale onto the 16-bit range', () => {
+        assert.equal(floatToPCM16(1), 32767);
+        assert.equal(floatToPCM16(-1), -32768);
+        assert.equal(floatToPCM16(0), 0);
+        assert.equal(floatToPCM16(0.5), 16384);
+    });
+
+    it('clamps samples outside [-1, 1]', () => {
+        assert.equal(floatToPCM16(1.5), 32767);
+        assert.equal(floatToPCM16(-3), -32768);
+    });
+});
+
+describe('PCM16Encoder', () => {
+    it('cuts 48 kHz audio into 100 ms frames at 24 kHz', () => {
+        const { frames, remainder } = encode(48000, 1.05);
+
+        assert.equal(DEFAULT_FRAME_SAMPLES, 2400);
+        assert.equal(frames.length, 10);
+        assert.ok(frames.every(frame => frame.length === 2400));
+        assert.equal(remainder.length, 1200);
+    });
+
+    it('cuts 44.1 kHz audio into 100 ms frames at 24 kHz', () => {
+        const { frames, remainder } = encode(44100, 1.05);
+
+        assert.equal(frames.length, 10);
+        assert.ok(frames.every(frame => frame.length === 2400));
+        assert.equal(remainder.length, 1200);
+    });
+
+    it('gives the same frames whatever the block size', () => {
+        const small = encode(44100, 0.5, 128);
+        const large = encode(44100, 0.5, 2048);
+
+        assert.deepEqual(large.frames, small.frames);
+        assert.deepEqual(large.remainder, small.remainder);
+    });
+
+    it('clamps out-of-range samples', () => {
+        const encoder = new PCM16Encoder({ inputSampleRate: 24000, frameSamples: 4 });
+        const [frame] = encoder.push(new Float32Array([1, -1, 2.5, -7, 0]));
+
+        assert.deepEqual([...frame], [32767, -32768, 32767, -32768]);
+    });
+
+    it('flushes the partial last frame once', () => {
+        const encoder = new PCM16Encoder({ inputSampleRate: 24000, frameSamples: 4 });
+        assert.deepEqual(encoder.push(new Float32Array([0.5, 0.5, 0])), []);
+
+        assert.deepEqual([...encoder.flush()], [16384, 16384]);
+        assert.equal(encoder.flush(), null);
+    });
+});
+
+describe('MicrophoneCapture', () => {
+    it('releases the microphone when setting up capture fails', async (t) => {
+        const track = { stopped: false, stop() { this.stopped = true; } };
+        const source = { disconnected: false, connect() {}, disconnect() { this.disconnected = true; } };
+        const audioContext = {
+            sampleRate: 48000,
+            audioWorklet: { addModule: async () => {} },
+            createMediaStreamSource: () => source
+        };
+
+        globalThis.navigator = { mediaDevices: { getUserMedia: async () => ({ getTracks: () => [track] }) } };
+        globalThis.AudioWorkletNode = class {
+            constructor() {
+                throw new Error('No worklet named pcm-capture-processor');
+            }
+        };
+        t.after(() => {
+            delete globalThis.navigator;
+            delete globalThis.AudioWorkletNode;
+        });
+
+        const capture = new MicrophoneCapture(audioContext, { onFrame: () => {} });
+        await assert.rejects(capture.start(), /No worklet named/);
+
+        assert.equal(track.stopped, true);
+        assert.equal(source.disconnected, true);
+        assert.equal(capture.stream, null);
+        await capture.stop();
+    });
+});
+
+describe('pcm-capture-processor worklet', () => {
+    it('downmixes to mono and posts 2048-sample batches', async () => {
+        const processor = new (await loadCaptureProcessor())();
+        const left = new Float32Array(128).fill(0.5);
+        const right = new Float32Array(128).fill(-0.25);
+
+        for (let i = 0; i < 16; i++) {
+            assert.equal(processor.process([[left, right]]), true);
+        }
+
+        assert.equal(processor.posted.length, 1);
+        assert.equal(processor.posted[0].type, 'samples');
+        assert.equal(processor.posted[0].samples.length, 2048);
+        assert.ok(processor.posted[0].samples.every(sample => sample === 0.125));
+    });
+
+    it('drains a partial batch when stopped', async () => {
+        const processor = new (await loadCaptureProcessor())();
+        processor.process([[new Float32Array(128).fill(0.25)]]);
+        processor.port.onmessage({ data: { type: 'stop' } });
+
+        assert.deepEqual(processor.posted.map(message => message.type), ['samples', 'stopped']);
+        assert.equal(processor.posted[0].samples.length, 128);
+        assert.equal(processor.process([[new Float32Array(128)]]), false);
+    });
+});
@@ -0,0 +1,111 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    AUTH_COMBINATIONS,
+    buildAttempt,
+    compareReports,
+    runAuthMatrix,
+    toMarkdown
+} from '../scripts/auth-matrix.js';
+import { ACCOUNT_ID, GATEWAY_ID, OPENAI_KEY, startMockGateway } from './helpers.js';
+
+const CONFIG = {
+    accountId: ACCOUNT_ID,
+    gatewayId: GATEWAY_ID,
+    openaiKey: OPENAI_KEY,
+    cfAuthToken: 'gateway-token',
+    model: 'gpt-4o-mini-realtime-preview'
+};
+
+const accepted = (report) => report.results
+    .filter(result => result.accepted && result.firstEvent === 'session.created')
+    .map(result => result.id);
+
+describe('buildAttempt', () => {
+    it('places each credential where the combination says', () => {
+        const attempt = buildAttempt({ key: 'url', token: 'header' }, CONFIG);
+        const url = new URL(attempt.url);
+
+        assert.equal(url.origin, 'wss://gateway.ai.cloudflare.com');
+        assert.equal(url.searchParams.get('api_key'), OPENAI_KEY);
+        assert.equal(attempt.headers['cf-aig-authorization'], 'Bearer gateway-token');
+        assert.deepEqual(attempt.protocols, ['realtime', 'openai-beta.realtime-v1']);
+    });
+
+    it('sends nothing but the gateway token for BYOK', () => {
+        const attempt = buildAttempt({ key: 'none', token: 'subprotocol' }, CONFIG);
+        assert.ok(!attempt.url.includes(OPENAI_KEY));
+        assert.equal(attempt.headers['Authorization'], undefined);
+        assert.deepEqual(attempt.protocols, ['realtime', 'cf-aig-authorization.gateway-token', 'openai-beta.realtime-v1']);
+    });
+});
+
+describe('runAuthMatrix against the mock gateway', () => {
+    let fixed;
+    let broken;
+    let unstored;
+    let fixedReport;
+    let brokenReport;
+    let unstoredReport;
+
+    before(async () => {
+        // BYOK honoured on WebSocket upgrades, and the pre-fix behaviour
+        fixed = await startMockGateway({ cfAuthToken: 'gateway-token', byokKey: 'sk-stored' });
+        broken = await startMockGateway({ cfAuthToken: 'gateway-token', byokKey: 'sk-stored', byokWebSocket: false });
+        // No stored key to fall back on, so URL keys are judged on their own
+        unstored = await startMockGateway({ cfAuthToken: 'gateway-token' });
+
+        fixedReport = await runAuthMatrix({ ...CONFIG, gatewayBaseUrl: fixed.baseUrl });
+        brokenReport = await runAuthMatrix({ ...CONFIG, gatewayBaseUrl: broken.baseUrl });
+        unstoredReport = await runAuthMatrix({ ...CONFIG, gatewayBaseUrl: unstored.baseUrl });
+    });
+
+    after(async () => {
+        await fixed.gateway.close();
+        await broken.gateway.close();
+        await unstored.gateway.close();
+    });
+
+    it('tries every combination', () => {
+        assert.equal(fixedReport.results.length, AUTH_COMBINATIONS.length);
+    });
+
+    it('rejects every attempt without the gateway token', () => {
+        for (const result of fixedReport.results.filter(r => r.token === 'none')) {
+            assert.equal(result.accepted, false, result.id);
+            assert.equal(result.httpStatus, 401, result.id);
+        }
+    });
+
+    it('accepts BYOK only where the gateway injects the stored key', () => {
+        assert.ok(accepted(fixedReport).includes('none+subprotocol'));
+        assert.ok(!accepted(brokenReport).includes('none+subprotocol'));
+        assert.ok(accepted(brokenReport).includes('subprotocol+subprotocol'));
+    });
+
+    it('accepts a URL api_key without falling back on the stored key', async () => {
+        for (const report of [fixedReport, brokenReport, unstoredReport]) {
+            assert.ok(accepted(report).includes('url+subprotocol'));
+            assert.ok(accepted(report).includes('url+header'));
+        }
+
+        const wrongKey = await runAuthMatrix({ ...CONFIG, openaiKey: 'sk-wrong', gatewayBaseUrl: fixed.baseUrl });
+        const url = wrongKey.results.find(result => result.id === 'url+header');
+        assert.equal(url.accepted, false);
+        assert.equal(url.httpStatus, 401);
+    });
+
+    it('flags the combinations that changed against a baseline', () => {
+        const changed = compareReports(fixedReport, brokenReport).map(change => change.id);
+        assert.deepEqual(changed, ['none+subprotocol', 'none+header']);
+        assert.deepEqual(compareReports(fixedReport, fixedReport), []);
+    });
+
+    it('renders a Markdown table without credentials', () => {
+        const markdown = toMarkdown(fixedReport);
+        assert.match(markdown, /\| No key \(BYOK\) \| ✅ accepted \| ✅ accepted \| ❌ 401 \|/);
+        assert.ok(!markdown.includes(OPENAI_KEY));
+        assert.ok(!markdown.includes('gateway-token'));
+    });
+});
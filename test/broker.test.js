@@ -0,0 +1,269 @@
+// The credential broker in front of the mock gateway: the page-side
+// ConfigManager and transport send no secrets, the broker adds them
+
+import http from 'node:http';
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+
+import { createBroker } from '../server/broker.js';
+import { RealtimeSession } from '../src/js/realtime-session.js';
+import { GatewayTransport } from '../src/js/realtime-transports.js';
+import { ACCOUNT_ID, GATEWAY_ID, OPENAI_KEY, createConfigManager, startMockGateway, waitForEvent } from './helpers.js';
+
+// Run a broker for `gatewayBaseUrl` on a random port
+async function startBroker(config) {
+    const broker = createBroker({
+        accountId: ACCOUNT_ID,
+        gatewayId: GATEWAY_ID,
+        openaiKey: OPENAI_KEY,
+        cfAuthToken: '',
+        model: 'gpt-4o-mini-realtime-preview',
+        ...config
+    });
+    const server = broker.attach(http.createServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        brokerUrl: `http://127.0.0.1:${server.address().port}/api/broker`,
+        close: () => {
+            broker.close();
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+const brokerManager = (brokerUrl, overrides = {}) => createConfigManager({
+    authMode: 'broker',
+    brokerUrl,
+    openaiKey: '',
+    sessionSettings: { modalities: 'text' },
+    ...overrides
+});
+
+describe('ConfigManager broker mode', () => {
+    it('sends no credentials and needs no gateway settings', () => {
+        const manager = createConfigManager({ authMode: 'broker', brokerUrl: 'http://localhost:3000/api/broker/', accountId: '', cfAuthToken: 'token' });
+
+        assert.deepEqual(manager.getHeaders(), { 'Content-Type': 'application/json' });
+        assert.equal(manager.getCloudflareBaseUrl(), 'http://localhost:3000/api/broker');
+        assert.equal(manager.getWebSocketUrl(), 'ws://localhost:3000/api/broker/realtime');
+        assert.deepEqual(manager.validateConfig(), { valid: true, errors: [] });
+    });
+});
+
+describe('broker with an unauthenticated gateway', () => {
+    let gateway;
+    let broker;
+    let session;
+
+    before(async () => {
+        let baseUrl;
+        ({ gateway, baseUrl } = await startMockGateway({ cfAuthToken: '', respond: () => 'Brokered.' }));
+        broker = await startBroker({ gatewayBaseUrl: baseUrl });
+    });
+
+    afterEach(() => session?.disconnect());
+
+    after(async () => {
+        await broker.close();
+        await gateway.close();
+    });
+
+    it('reports its status without secrets', async () => {
+        const response = await fetch(`${broker.brokerUrl}/status`);
+        const text = await response.text();
+
+        assert.deepEqual(JSON.parse(text), {
+            configured: true,
+            realtimeMode: 'token',
+            byok: false,
+            model: 'gpt-4o-mini-realtime-preview'
+        });
+        assert.ok(!text.includes(OPENAI_KEY));
+    });
+
+    it('proxies chat completions with the server key', async () => {
+        const manager = brokerManager(broker.brokerUrl);
+        const response = await fetch(`${manager.getCloudflareBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: manager.getHeaders(),
+            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] })
+        });
+
+        assert.equal(response.status, 200);
+        assert.ok(response.headers.get('cf-aig-log-id'));
+        assert.equal((await response.json()).choices[0].message.content, 'Brokered.');
+        assert.equal(gateway.requests.at(-1).headers['authorization'], `Bearer ${OPENAI_KEY}`);
+    });
+
+    it('forwards cache controls and reports the cache status', async () => {
+        const manager = brokerManager(broker.brokerUrl);
+        manager.saveConfig({ cacheSettings: { ttl: '60', cacheKey: 'broker-cache' } });
+
+        const send = () => fetch(`${manager.getCloudflareBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: manager.getHeaders(),
+            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] })
+        });
+
+        assert.equal((await send()).headers.get('cf-aig-cache-status'), 'MISS');
+        assert.equal((await send()).headers.get('cf-aig-cache-status'), 'HIT');
+        assert.equal(gateway.requests.at(-1).headers['cf-aig-cache-key'], 'broker-cache');
+    });
+
+    it('forwards gateway metadata and returns the log ID', async () => {
+        const manager = brokerManager(broker.brokerUrl);
+        const response = await fetch(`${manager.getCloudflareBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: manager.getHeaders({ metadata: { tenant: 'acme' }, maxAttempts: 2 }),
+            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] })
+        });
+
+        const { headers } = gateway.requests.at(-1);
+        assert.match(response.headers.get('cf-aig-log-id'), /^[0-9a-f-]{36}$/);
+        assert.equal(headers['cf-aig-metadata'], '{"tenant":"acme"}');
+        assert.equal(headers['cf-aig-max-attempts'], '2');
+    });
+
+    it('passes streamed completions through', async () => {
+        const response = await fetch(`${broker.brokerUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }], stream: true })
+        });
+
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+        assert.match(await response.text(), /data: \[DONE\]/);
+    });
+
+    it('answers a malformed session request with 400', async () => {
+        const before = gateway.requests.length;
+        const response = await fetch(`${broker.brokerUrl}/realtime/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"model":'
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.type, 'invalid_request_error');
+        assert.equal(gateway.requests.length, before);
+    });
+
+    it('refuses POSTs from other sites and bodies that are not JSON', async () => {
+        const before = gateway.requests.length;
+        const body = JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] });
+
+        const crossSite = await fetch(`${broker.brokerUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: 'https://evil.example' },
+            body
+        });
+        const plainText = await fetch(`${broker.brokerUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body
+        });
+        const sameOrigin = await fetch(`${broker.brokerUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=utf-8', Origin: new URL(broker.brokerUrl).origin },
+            body
+        });
+
+        assert.equal(crossSite.status, 403);
+        assert.match((await crossSite.json()).error.message, /evil\.example/);
+        assert.equal(plainText.status, 415);
+        assert.equal(sameOrigin.status, 200);
+        assert.equal(gateway.requests.length, before + 1);
+    });
+
+    it('connects a realtime session with an ephemeral key', async () => {
+        session = new RealtimeSession({ transport: new GatewayTransport(brokerManager(broker.brokerUrl)) });
+        await session.connect();
+
+        assert.equal(session.isConnected, true);
+        assert.equal(session.transport.label, 'Cloudflare AI Gateway (server-brokered)');
+
+        const upgrade = gateway.requests.filter(request => request.kind === 'realtime').at(-1);
+        const [key] = upgrade.protocols.filter(protocol => protocol.startsWith('openai-insecure-api-key.'));
+        assert.match(key, /^openai-insecure-api-key\.ek_/);
+    });
+});
+
+describe('broker with an authenticated gateway', () => {
+    let gateway;
+    let broker;
+    let session;
+
+    before(async () => {
+        let baseUrl;
+        ({ gateway, baseUrl } = await startMockGateway({ cfAuthToken: 'gateway-token' }));
+        broker = await startBroker({ gatewayBaseUrl: baseUrl, cfAuthToken: 'gateway-token' });
+    });
+
+    afterEach(() => session?.disconnect());
+
+    after(async () => {
+        await broker.close();
+        await gateway.close();
+    });
+
+    it('relays the realtime connection with the server credentials', async () => {
+        session = new RealtimeSession({ transport: new GatewayTransport(brokerManager(broker.brokerUrl)) });
+        await session.connect();
+        // The relay answers the page before the gateway does
+        await waitForEvent(session.client.realtime, 'server.session.updated');
+
+        assert.equal(session.isConnected, true);
+
+        const upgrade = gateway.requests.filter(request => request.kind === 'realtime').at(-1);
+        assert.equal(upgrade.auth.ok, true);
+        assert.equal(upgrade.headers['cf-aig-authorization'], 'Bearer gateway-token');
+    });
+
+    it('refuses relay connections from other sites', async () => {
+        const before = gateway.requests.filter(request => request.kind === 'realtime').length;
+        const socket = new WebSocket(`${broker.brokerUrl.replace(/^http/, 'ws')}/realtime`, ['realtime'], { origin: 'https://evil.example' });
+        const status = await new Promise((resolve) => {
+            socket.on('unexpected-response', (request, response) => {
+                request.destroy();
+                resolve(response.statusCode);
+            });
+            socket.on('error', () => resolve(null));
+        });
+
+        assert.equal(status, 403);
+        assert.equal(gateway.requests.filter(request => request.kind === 'realtime').length, before);
+    });
+
+    it('answers CORS requests from the allowed origin only when asked to', async () => {
+        const origin = 'http://localhost:3000';
+        const crossOrigin = await startBroker({ gatewayBaseUrl: 'http://127.0.0.1:9', allowOrigin: origin });
+        const preflight = await fetch(`${crossOrigin.brokerUrl}/realtime/sessions`, {
+            method: 'OPTIONS',
+            headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type' }
+        });
+        const status = await fetch(`${crossOrigin.brokerUrl}/status`, { headers: { Origin: origin } });
+        await crossOrigin.close();
+
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), origin);
+        assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+        assert.match(preflight.headers.get('access-control-allow-headers'), /content-type/);
+        assert.equal(status.headers.get('access-control-allow-origin'), origin);
+        assert.match(status.headers.get('access-control-expose-headers'), /cf-aig-log-id/);
+
+        const sameOrigin = await fetch(`${broker.brokerUrl}/status`, { headers: { Origin: origin } });
+        assert.equal(sameOrigin.headers.get('access-control-allow-origin'), null);
+    });
+
+    it('refuses to work without credentials', async () => {
+        const unconfigured = await startBroker({ gatewayBaseUrl: 'http://127.0.0.1:9', openaiKey: '' });
+        const response = await fetch(`${unconfigured.brokerUrl}/realtime/sessions`, { method: 'POST' });
+        await unconfigured.close();
+
+        assert.equal(response.status, 503);
+        assert.match((await response.json()).error.message, /not configured/);
+    });
+});
@@ -0,0 +1,156 @@
+// Chat Completions through the gateway, replacing the old interactive
+// test-chat-completion.js probe with assertions against the mock gateway
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readSSE } from '../src/js/sse.js';
+import { createConfigManager, startMockGateway } from './helpers.js';
+
+const MESSAGES = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'Remember the number 42.' },
+    { role: 'assistant', content: 'I will remember 42.' },
+    { role: 'user', content: 'What number did I ask you to remember?' }
+];
+
+// Send a request the way ChatManager.postCompletion() does
+function postCompletion(manager, body) {
+    return fetch(`${manager.getCloudflareBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: manager.getHeaders(),
+        body: JSON.stringify({
+            model: manager.getConfig().model,
+            messages: MESSAGES,
+            ...manager.getChatRequestParams(),
+            ...body
+        })
+    });
+}
+
+describe('chat completions via the gateway', () => {
+    let gateway;
+    let manager;
+    let received;
+
+    before(async () => {
+        let baseUrl;
+        ({ gateway, baseUrl } = await startMockGateway({
+            cfAuthToken: 'gateway-token',
+            byokKey: 'sk-stored',
+            respond: ({ messages, tools }) => {
+                received = messages;
+                if (tools.length > 0 && !messages.some(message => message.role === 'tool')) {
+                    return { tool_calls: [{ name: 'calculator', arguments: { expression: '6*7' } }] };
+                }
+                return 'Forty-two.';
+            }
+        }));
+        manager = createConfigManager({ gatewayBaseUrl: baseUrl, cfAuthToken: 'gateway-token', useAuthGateway: true });
+    });
+
+    after(() => gateway.close());
+
+    it('returns a completion and forwards the whole conversation', async () => {
+        const response = await postCompletion(manager);
+        assert.equal(response.status, 200);
+
+        const data = await response.json();
+        assert.equal(data.choices[0].message.content, 'Forty-two.');
+        assert.equal(data.choices[0].finish_reason, 'stop');
+        assert.deepEqual(received, MESSAGES);
+    });
+
+    it('sends the request parameters and both auth headers', async () => {
+        manager.saveConfig({ chatParams: { temperature: '0', max_tokens: '5' } });
+        await postCompletion(manager);
+        manager.saveConfig({ chatParams: undefined });
+
+        const { headers, body } = gateway.requests.at(-1);
+        assert.equal(headers['authorization'], 'Bearer sk-mock');
+        assert.equal(headers['cf-aig-authorization'], 'Bearer gateway-token');
+        assert.equal(body.temperature, 0);
+        assert.equal(body.max_tokens, 5);
+    });
+
+    it('streams the same reply as server-sent events', async () => {
+        const response = await postCompletion(manager, { stream: true });
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        let content = '';
+        let sawDone = false;
+        for await (const payload of readSSE(response)) {
+            if (payload === '[DONE]') {
+                sawDone = true;
+                continue;
+            }
+            content += JSON.parse(payload).choices[0].delta.content || '';
+        }
+
+        assert.equal(content, 'Forty-two.');
+        assert.ok(sawDone);
+    });
+
+    it('returns tool calls when tools are offered', async () => {
+        const tools = [{ type: 'function', function: { name: 'calculator', parameters: { type: 'object' } } }];
+        const data = await (await postCompletion(manager, { tools, tool_choice: 'auto' })).json();
+
+        const [call] = data.choices[0].message.tool_calls;
+        assert.equal(data.choices[0].finish_reason, 'tool_calls');
+        assert.equal(call.function.name, 'calculator');
+        assert.deepEqual(JSON.parse(call.function.arguments), { expression: '6*7' });
+    });
+
+    it('answers repeated requests from the gateway cache', async () => {
+        const cached = createConfigManager({
+            gatewayBaseUrl: manager.getGatewayBaseUrl(),
+            cfAuthToken: 'gateway-token',
+            useAuthGateway: true,
+            cacheSettings: { ttl: '60' }
+        });
+
+        const first = await postCompletion(cached, { seed: 1 });
+        const second = await postCompletion(cached, { seed: 1 });
+        assert.equal(first.headers.get('cf-aig-cache-status'), 'MISS');
+        assert.equal(second.headers.get('cf-aig-cache-status'), 'HIT');
+        assert.equal((await second.json()).choices[0].message.content, (await first.json()).choices[0].message.content);
+
+        cached.saveConfig({ cacheSettings: { ttl: '60', skipCache: true } });
+        const skipped = await postCompletion(cached, { seed: 1 });
+        assert.equal(skipped.headers.get('cf-aig-cache-status'), null);
+        assert.equal(gateway.requests.at(-1).headers['cf-aig-skip-cache'], 'true');
+    });
+
+    it('lets the gateway supply the key in BYOK mode', async () => {
+        const byok = createConfigManager({
+            gatewayBaseUrl: manager.getGatewayBaseUrl(),
+            authMode: 'byok',
+            cfAuthToken: 'gateway-token'
+        });
+        const response = await postCompletion(byok);
+
+        assert.equal(response.status, 200);
+        const { headers, auth } = gateway.requests.at(-1);
+        assert.equal(headers['authorization'], undefined);
+        assert.equal(auth.openaiKey, 'sk-stored');
+    });
+
+    it('rejects a request without the gateway token', async () => {
+        const response = await postCompletion(createConfigManager({ gatewayBaseUrl: manager.getGatewayBaseUrl() }));
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).error[0].code, 2009);
+    });
+
+    it('rejects an invalid OpenAI key', async () => {
+        const badKey = createConfigManager({
+            gatewayBaseUrl: manager.getGatewayBaseUrl(),
+            openaiKey: 'sk-wrong',
+            cfAuthToken: 'gateway-token',
+            useAuthGateway: true
+        });
+        const response = await postCompletion(badKey);
+
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).error.code, 'invalid_api_key');
+    });
+});
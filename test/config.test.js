@@ -0,0 +1,426 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ConfigManager, DEFAULT_CHAT_PARAMS, DEFAULT_CONFIG, DEFAULT_PROFILE, SECRET_KEYS, createMemoryStorage, getClearedSecretKeys } from '../src/js/config.js';
+import { decryptSecrets, encryptSecrets } from '../src/js/secure-storage.js';
+import { ACCOUNT_ID, GATEWAY_ID, createConfigManager } from './helpers.js';
+
+describe('ConfigManager storage', () => {
+    it('starts from the defaults when nothing is saved', () => {
+        const manager = new ConfigManager('key', { model: 'a', voice: 'alloy' }, createMemoryStorage());
+        assert.deepEqual(manager.getConfig(), { model: 'a', voice: 'alloy' });
+    });
+
+    it('merges saved values over the defaults', () => {
+        const storage = createMemoryStorage();
+        storage.setItem('key', JSON.stringify({ model: 'b' }));
+
+        const manager = new ConfigManager('key', { model: 'a', voice: 'alloy' }, storage);
+        assert.deepEqual(manager.getConfig(), { model: 'b', voice: 'alloy' });
+    });
+
+    it('falls back to the defaults when the saved JSON is corrupt', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const storage = createMemoryStorage();
+        storage.setItem('key', '{not json');
+
+        const manager = new ConfigManager('key', { model: 'a' }, storage);
+        assert.deepEqual(manager.getConfig(), { model: 'a' });
+    });
+
+    it('persists saved updates under its storage key', () => {
+        const storage = createMemoryStorage();
+        const manager = new ConfigManager('key', { model: 'a' }, storage);
+
+        manager.saveConfig({ model: 'c' });
+
+        assert.deepEqual(JSON.parse(storage.getItem('key')), { model: 'c' });
+        assert.equal(new ConfigManager('key', { model: 'a' }, storage).getConfig().model, 'c');
+    });
+});
+
+describe('ConfigManager URLs', () => {
+    it('builds the gateway HTTP and WebSocket URLs', () => {
+        const manager = createConfigManager();
+        assert.equal(
+            manager.getCloudflareBaseUrl(),
+            `https://gateway.ai.cloudflare.com/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai`
+        );
+        assert.equal(
+            manager.getWebSocketUrl(),
+            `wss://gateway.ai.cloudflare.com/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai`
+        );
+    });
+
+    it('honours a gateway base URL override', () => {
+        const manager = createConfigManager({ gatewayBaseUrl: 'http://127.0.0.1:8787/v1/' });
+        assert.equal(manager.getCloudflareBaseUrl(), `http://127.0.0.1:8787/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai`);
+        assert.equal(manager.getWebSocketUrl(), `ws://127.0.0.1:8787/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai`);
+    });
+
+    it('points realtime at the provider URL, not .../openai/realtime', () => {
+        const manager = createConfigManager();
+        const url = new URL(`${manager.getWebSocketUrl()}?model=gpt-4o-realtime-preview`);
+
+        assert.equal(url.pathname, `/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai`);
+        assert.equal(url.searchParams.get('model'), 'gpt-4o-realtime-preview');
+    });
+
+    it('requires the account and gateway IDs', () => {
+        const manager = createConfigManager({ gatewayId: '' });
+        assert.throws(() => manager.getCloudflareBaseUrl(), /Gateway ID are required/);
+        assert.throws(() => manager.getWebSocketUrl(), /Gateway ID are required/);
+    });
+});
+
+describe('ConfigManager headers', () => {
+    it('sends the OpenAI key as a bearer token', () => {
+        const headers = createConfigManager().getHeaders();
+        assert.equal(headers['Content-Type'], 'application/json');
+        assert.equal(headers['Authorization'], 'Bearer sk-mock');
+        assert.equal(headers['cf-aig-authorization'], undefined);
+    });
+
+    it('adds cf-aig-authorization only for an authenticated gateway', () => {
+        const unauthenticated = createConfigManager({ cfAuthToken: 'token' });
+        assert.equal(unauthenticated.getHeaders()['cf-aig-authorization'], undefined);
+
+        const authenticated = createConfigManager({ cfAuthToken: 'token', useAuthGateway: true });
+        assert.equal(authenticated.getHeaders()['cf-aig-authorization'], 'Bearer token');
+        assert.equal(authenticated.getWebSocketHeaders()['cf-aig-authorization'], 'Bearer token');
+    });
+
+    it('turns the cache settings into cf-aig-cache-* headers', () => {
+        assert.equal(createConfigManager().getHeaders()['cf-aig-cache-ttl'], undefined);
+
+        const cached = createConfigManager({ cacheSettings: { ttl: '300', skipCache: false, cacheKey: 'demo' } });
+        assert.equal(cached.getHeaders()['cf-aig-cache-ttl'], '300');
+        assert.equal(cached.getHeaders()['cf-aig-cache-key'], 'demo');
+
+        const skipped = createConfigManager({ cacheSettings: { ttl: '300', skipCache: true } });
+        assert.equal(skipped.getHeaders()['cf-aig-skip-cache'], 'true');
+        assert.equal(skipped.getHeaders()['cf-aig-cache-ttl'], undefined);
+        assert.equal(skipped.getWebSocketHeaders()['cf-aig-skip-cache'], undefined);
+    });
+
+    it('sends metadata, timeout and retry options, overridable per request', () => {
+        const manager = createConfigManager({
+            gatewayOptions: { metadata: 'tenant=acme\nteam = analytics\n', requestTimeout: '5000', maxAttempts: '3', retryDelay: '', backoff: 'exponential' }
+        });
+
+        const headers = manager.getHeaders();
+        assert.equal(headers['cf-aig-metadata'], '{"tenant":"acme","team":"analytics"}');
+        assert.equal(headers['cf-aig-request-timeout'], '5000');
+        assert.equal(headers['cf-aig-max-attempts'], '3');
+        assert.equal(headers['cf-aig-retry-delay'], undefined);
+        assert.equal(headers['cf-aig-backoff'], 'exponential');
+
+        const overridden = manager.getHeaders({ metadata: { tenant: 'globex' }, requestTimeout: 100 });
+        assert.equal(overridden['cf-aig-metadata'], '{"tenant":"globex","team":"analytics"}');
+        assert.equal(overridden['cf-aig-request-timeout'], '100');
+    });
+
+    it('reads the client retry settings as numbers', () => {
+        const manager = createConfigManager({ retrySettings: { maxRetries: '0', baseDelayMs: '', maxDelayMs: '5000' } });
+        assert.deepEqual(manager.getRetryOptions(), { maxRetries: 0, baseDelayMs: 500, maxDelayMs: 5000 });
+    });
+
+    it('marks WebSocket requests as realtime beta', () => {
+        const headers = createConfigManager().getWebSocketHeaders();
+        assert.equal(headers['OpenAI-Beta'], 'realtime=v1');
+        assert.equal(headers['Content-Type'], undefined);
+    });
+});
+
+describe('ConfigManager validation', () => {
+    it('accepts a complete configuration', () => {
+        assert.deepEqual(createConfigManager().validateConfig(), { valid: true, errors: [] });
+    });
+
+    it('checks the gateway options', () => {
+        const manager = createConfigManager({
+            gatewayOptions: { metadata: 'a=1\nb=2\nc=3\nd=4\ne=5\nf=6\nno separator', maxAttempts: '9' }
+        });
+        assert.deepEqual(manager.validateConfig().errors, [
+            'Gateway metadata must be key=value lines, not "no separator"',
+            'Gateway metadata is limited to 5 entries',
+            'Max attempts must be between 1 and 5'
+        ]);
+    });
+
+    it('reports every missing field', () => {
+        const manager = createConfigManager({
+            accountId: '',
+            gatewayId: '',
+            openaiKey: '',
+            useAuthGateway: true,
+            cfAuthToken: ''
+        });
+        const { valid, errors } = manager.validateConfig();
+
+        assert.equal(valid, false);
+        assert.equal(errors.length, 4);
+    });
+});
+
+describe('ConfigManager chat request parameters', () => {
+    it('uses the defaults when nothing was edited', () => {
+        assert.deepEqual(createConfigManager().getChatRequestParams(), {
+            temperature: DEFAULT_CHAT_PARAMS.temperature,
+            max_tokens: DEFAULT_CHAT_PARAMS.max_tokens
+        });
+    });
+
+    it('converts form values and drops blank ones', () => {
+        const manager = createConfigManager({
+            chatParams: {
+                temperature: '0.2',
+                top_p: '',
+                max_tokens: '50',
+                seed: '7',
+                stop: 'END\n\nSTOP\nA\nB\nC',
+                response_format: 'json_object'
+            }
+        });
+
+        assert.deepEqual(manager.getChatRequestParams(), {
+            temperature: 0.2,
+            max_tokens: 50,
+            seed: 7,
+            stop: ['END', 'STOP', 'A', 'B'],
+            response_format: { type: 'json_object' }
+        });
+    });
+});
+
+describe('ConfigManager BYOK mode', () => {
+    const byok = () => createConfigManager({ authMode: 'byok', cfAuthToken: 'token' });
+
+    it('never sends the OpenAI key, even if one is stored', () => {
+        const manager = byok();
+        assert.equal(manager.getConfig().openaiKey, 'sk-mock');
+        assert.equal(manager.getHeaders()['Authorization'], undefined);
+        assert.equal(manager.getWebSocketHeaders()['Authorization'], undefined);
+    });
+
+    it('always sends the gateway token', () => {
+        const manager = byok();
+        assert.equal(manager.getConfig().useAuthGateway, false);
+        assert.equal(manager.getHeaders()['cf-aig-authorization'], 'Bearer token');
+    });
+
+    it('requires the gateway token instead of the OpenAI key', () => {
+        assert.deepEqual(createConfigManager({ authMode: 'byok', openaiKey: '', cfAuthToken: 'token' }).validateConfig(), {
+            valid: true,
+            errors: []
+        });
+        assert.deepEqual(createConfigManager({ authMode: 'byok', openaiKey: '' }).validateConfig().errors, [
+            'CF AI Gateway Auth Token is required in BYOK mode'
+        ]);
+    });
+
+    it('keeps the OpenAI key the direct page uses when saved in BYOK mode', () => {
+        const cleared = getClearedSecretKeys('byok');
+        assert.ok(!cleared.includes('openaiKey'));
+        assert.ok(!cleared.includes('cfAuthToken'));
+        assert.ok(cleared.includes('anthropicKey'));
+
+        assert.deepEqual(getClearedSecretKeys('broker'), SECRET_KEYS);
+        assert.deepEqual(getClearedSecretKeys('key'), []);
+    });
+});
+
+describe('ConfigManager secret storage', () => {
+    // One browser: localStorage outlives the tab, sessionStorage does not
+    const createBrowser = () => ({ local: createMemoryStorage(), session: createMemoryStorage() });
+    const open = ({ local, session }) => new ConfigManager('key', { ...DEFAULT_CONFIG, accountId: 'a', gatewayId: 'g' }, local, session);
+
+    it('keeps keys in plain localStorage by default', () => {
+        const browser = createBrowser();
+        open(browser).saveConfig({ openaiKey: 'sk-plain' });
+
+        assert.equal(JSON.parse(browser.local.getItem('key')).openaiKey, 'sk-plain');
+        assert.equal(open(browser).getConfig().openaiKey, 'sk-plain');
+    });
+
+    it('keeps session-only keys out of localStorage', async () => {
+        const browser = createBrowser();
+        await open(browser).saveSecure({ secretStorage: 'session', openaiKey: 'sk-session', model: 'm' });
+
+        const saved = browser.local.getItem('key');
+        assert.ok(!saved.includes('sk-session'));
+        assert.equal(JSON.parse(saved).model, 'm');
+        assert.equal(open(browser).getConfig().openaiKey, 'sk-session');
+
+        // A new tab starts without the keys
+        assert.equal(open({ ...browser, session: createMemoryStorage() }).getConfig().openaiKey, '');
+    });
+
+    it('encrypts keys and unlocks them once per page', async () => {
+        const browser = createBrowser();
+        await open(browser).saveSecure({ secretStorage: 'encrypted', openaiKey: 'sk-secret', cfAuthToken: 'cf-secret' }, 'correct horse');
+
+        const saved = browser.local.getItem('key');
+        assert.ok(!saved.includes('sk-secret'));
+        assert.ok(!saved.includes('cf-secret'));
+
+        const newTab = open({ ...browser, session: createMemoryStorage() });
+        assert.equal(newTab.isLocked(), true);
+        assert.equal(newTab.getConfig().openaiKey, '');
+        assert.match(newTab.validateConfig().errors[0], /locked/);
+
+        await assert.rejects(newTab.unlock('wrong'), /Wrong passphrase/);
+        await newTab.unlock('correct horse');
+        assert.equal(newTab.getConfig().openaiKey, 'sk-secret');
+        assert.equal(newTab.validateConfig().valid, true);
+
+        // The decrypted keys stay in memory: nothing in the tab's
+        // sessionStorage, and a reload is locked again
+        assert.equal(newTab.sessionStore.getItem('key_secrets'), null);
+        assert.equal(open({ ...browser, session: newTab.sessionStore }).isLocked(), true);
+    });
+
+    it('keeps unlocked keys for the other profiles of the page', async () => {
+        const browser = createBrowser();
+        const manager = open(browser);
+        await manager.saveSecure({ secretStorage: 'session', openaiKey: 'sk-session' });
+        await manager.saveSecure({ secretStorage: 'encrypted', openaiKey: 'sk-secret' }, 'pass');
+        assert.equal(browser.session.getItem('key_secrets'), null);
+
+        manager.createProfile('Other');
+        manager.switchProfile('Other');
+        assert.equal(manager.forProfile(DEFAULT_PROFILE).getConfig().openaiKey, 'sk-secret');
+
+        manager.switchProfile(DEFAULT_PROFILE);
+        assert.equal(manager.isLocked(), false);
+        assert.equal(manager.getConfig().openaiKey, 'sk-secret');
+    });
+
+    it('keeps the encrypted keys through other saves and after locking', async () => {
+        const browser = createBrowser();
+        const manager = open(browser);
+        await manager.saveSecure({ secretStorage: 'encrypted', openaiKey: 'sk-secret' }, 'pass');
+
+        manager.lock();
+        manager.saveConfig({ model: 'other' });
+        assert.equal(manager.isLocked(), true);
+
+        await assert.rejects(manager.saveSecure({ openaiKey: 'sk-new' }), /locked/);
+        await manager.saveSecure({ model: 'again' }, 'pass');
+        assert.equal(manager.getConfig().openaiKey, 'sk-secret');
+    });
+
+    it('requires a passphrase to encrypt', async () => {
+        await assert.rejects(open(createBrowser()).saveSecure({ secretStorage: 'encrypted' }), /passphrase/);
+    });
+
+    it('round-trips secrets with a fresh salt and IV', async () => {
+        const first = await encryptSecrets({ openaiKey: 'sk' }, 'pass');
+        const second = await encryptSecrets({ openaiKey: 'sk' }, 'pass');
+
+        assert.notEqual(first.salt, second.salt);
+        assert.notEqual(first.data, second.data);
+        assert.deepEqual(await decryptSecrets(second, 'pass'), { openaiKey: 'sk' });
+    });
+});
+
+describe('ConfigManager profiles', () => {
+    const open = (storage, session = createMemoryStorage()) => new ConfigManager('key', DEFAULT_CONFIG, storage, session);
+
+    it('starts with a default profile on the original storage key', () => {
+        const storage = createMemoryStorage();
+        storage.setItem('key', JSON.stringify({ accountId: 'existing' }));
+
+        const manager = open(storage);
+        assert.deepEqual(manager.listProfiles(), ['Default']);
+        assert.equal(manager.getActiveProfile(), 'Default');
+        assert.equal(manager.getConfig().accountId, 'existing');
+    });
+
+    it('creates, switches and remembers the active profile', () => {
+        const storage = createMemoryStorage();
+        const manager = open(storage);
+        manager.saveConfig({ gatewayId: 'prod' });
+
+        manager.switchProfile(manager.createProfile(' Staging ', { gatewayId: 'staging' }));
+        assert.equal(manager.getConfig().gatewayId, 'staging');
+        assert.equal(manager.getConfig().model, DEFAULT_CONFIG.model);
+
+        manager.saveConfig({ useAuthGateway: true });
+        assert.equal(open(storage).getActiveProfile(), 'Staging');
+        assert.equal(open(storage).getConfig().useAuthGateway, true);
+
+        manager.switchProfile('Default');
+        assert.equal(manager.getConfig().gatewayId, 'prod');
+        assert.throws(() => manager.createProfile('Staging'), /already exists/);
+        assert.throws(() => manager.switchProfile('Missing'), /No profile/);
+    });
+
+    it('clones a profile with its keys', () => {
+        const storage = createMemoryStorage();
+        const manager = open(storage);
+        manager.saveConfig({ gatewayId: 'prod', openaiKey: 'sk-prod' });
+
+        manager.switchProfile(manager.cloneProfile('Default', 'Prod copy'));
+        assert.equal(manager.getConfig().gatewayId, 'prod');
+        assert.equal(manager.getConfig().openaiKey, 'sk-prod');
+    });
+
+    it('deletes a profile and falls back to another', () => {
+        const manager = open(createMemoryStorage());
+        manager.switchProfile(manager.createProfile('Temp'));
+
+        manager.deleteProfile('Temp');
+        assert.deepEqual(manager.listProfiles(), ['Default']);
+        assert.equal(manager.getActiveProfile(), 'Default');
+        assert.throws(() => manager.deleteProfile('Default'), /only profile/);
+    });
+
+    it('exports without keys and imports under unused names', () => {
+        const manager = open(createMemoryStorage());
+        manager.saveConfig({ gatewayId: 'prod', openaiKey: 'sk-prod' });
+
+        const exported = manager.exportProfiles();
+        assert.ok(!exported.includes('sk-prod'));
+
+        assert.deepEqual(manager.importProfiles(exported), ['Default (2)']);
+        manager.switchProfile('Default (2)');
+        assert.equal(manager.getConfig().gatewayId, 'prod');
+        assert.equal(manager.getConfig().openaiKey, '');
+        assert.throws(() => manager.importProfiles('{}'), /Not a profile export/);
+    });
+
+    it('adopts a config saved under a legacy key', () => {
+        const storage = createMemoryStorage();
+        storage.setItem('old', JSON.stringify({ openaiKey: 'sk-direct', model: 'gpt-4o-realtime-preview' }));
+        const manager = open(storage);
+
+        const name = manager.adoptLegacyConfig('old', 'Direct', ({ model, ...values }) => ({ ...values, realtimeModel: model }));
+        assert.equal(storage.getItem('old'), null);
+        assert.equal(manager.adoptLegacyConfig('old', 'Direct'), null);
+
+        manager.switchProfile(name);
+        assert.equal(manager.getConfig().openaiKey, 'sk-direct');
+        assert.equal(manager.getConfig().realtimeModel, 'gpt-4o-realtime-preview');
+    });
+
+    it('makes an adopted legacy config active only when nothing else was set up', () => {
+        const fresh = createMemoryStorage();
+        fresh.setItem('old', JSON.stringify({ openaiKey: 'sk-direct' }));
+        const adopted = open(fresh);
+        adopted.adoptLegacyConfig('old', 'Direct');
+
+        assert.equal(adopted.getActiveProfile(), 'Direct');
+        assert.equal(adopted.getConfig().openaiKey, 'sk-direct');
+        assert.equal(open(fresh).getActiveProfile(), 'Direct');
+
+        const used = createMemoryStorage();
+        open(used).saveConfig({ gatewayId: 'prod' });
+        used.setItem('old', JSON.stringify({ openaiKey: 'sk-direct' }));
+        const kept = open(used);
+        kept.adoptLegacyConfig('old', 'Direct');
+
+        assert.equal(kept.getActiveProfile(), 'Default');
+        assert.equal(kept.getConfig().gatewayId, 'prod');
+    });
+});
@@ -0,0 +1,101 @@
+// Saved chat conversations (in memory; browsers use IndexedDB)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ConversationStore, createMemoryBackend, runTurn, titleFor } from '../src/js/conversation-store.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+const conversation = (question, answer) => ({
+    model: 'OpenAI · gpt-4o-mini',
+    profile: 'Default',
+    messages: [{ role: 'user', content: question }, { role: 'assistant', content: answer }],
+    transcript: [{ type: 'user', content: question, meta: '' }, { type: 'assistant', content: answer, meta: 'OpenAI · gpt-4o-mini' }]
+});
+
+describe('ConversationStore', () => {
+    it('gives new conversations an id, a title and timestamps', async () => {
+        const store = new ConversationStore(createMemoryBackend());
+        const saved = await store.save(conversation('What is the capital of France?\nBe brief.', 'Paris.'));
+
+        assert.ok(saved.id);
+        assert.equal(saved.title, 'What is the capital of France?');
+        assert.equal(saved.createdAt, saved.updatedAt);
+        assert.deepEqual(await store.get(saved.id), saved);
+    });
+
+    it('keeps the id, title and creation time when saved again', async () => {
+        const store = new ConversationStore(createMemoryBackend());
+        const first = await store.save(conversation('Hi', 'Hello!'));
+        await tick();
+        const second = await store.save({ ...first, messages: [...first.messages, { role: 'user', content: 'More' }] });
+
+        assert.equal(second.id, first.id);
+        assert.equal(second.title, 'Hi');
+        assert.equal(second.createdAt, first.createdAt);
+        assert.ok(second.updatedAt > first.updatedAt);
+        assert.equal((await store.list()).length, 1);
+    });
+
+    it('lists newest first and searches titles and messages', async () => {
+        const store = new ConversationStore(createMemoryBackend());
+        await store.save(conversation('Cache test', 'First reply'));
+        await tick();
+        await store.save({ ...conversation('Tool test', 'The calculator says 42'), profile: 'Staging' });
+
+        assert.deepEqual((await store.list()).map(c => c.title), ['Tool test', 'Cache test']);
+        assert.deepEqual((await store.list({ query: 'CALCULATOR' })).map(c => c.title), ['Tool test']);
+        assert.deepEqual((await store.list({ query: 'staging' })).map(c => c.title), ['Tool test']);
+        assert.deepEqual(await store.list({ query: 'nothing like this' }), []);
+    });
+
+    it('renames and deletes', async () => {
+        const store = new ConversationStore(createMemoryBackend());
+        const { id } = await store.save(conversation('Hi', 'Hello!'));
+
+        assert.equal((await store.rename(id, '  Greeting  ')).title, 'Greeting');
+        await assert.rejects(store.rename(id, ' '), /Title is required/);
+        await assert.rejects(store.rename('missing', 'x'), /Conversation not found/);
+
+        await store.delete(id);
+        assert.equal(await store.get(id), undefined);
+    });
+
+    it('shortens long titles', () => {
+        assert.equal(titleFor([{ role: 'user', content: 'x'.repeat(100) }]).length, 60);
+        assert.equal(titleFor([]), 'New conversation');
+    });
+});
+
+describe('runTurn', () => {
+    const previous = () => [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' }
+    ];
+
+    it('keeps the messages of a finished turn', async () => {
+        const messages = previous();
+        await runTurn(messages, async () => {
+            messages.push({ role: 'user', content: 'Thanks' }, { role: 'assistant', content: 'Any time.' });
+        });
+
+        assert.equal(messages.length, 4);
+    });
+
+    it('drops the user message and unanswered tool calls of a failed turn', async () => {
+        const messages = previous();
+        const failed = runTurn(messages, async () => {
+            messages.push({ role: 'user', content: 'What is 6*7?' });
+            messages.push({
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{}' } }]
+            });
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        });
+
+        await assert.rejects(failed, { name: 'AbortError' });
+        assert.deepEqual(messages, previous());
+    });
+});
@@ -0,0 +1,47 @@
+// Shared fixtures for the test suite
+// Integration tests run against server/mock-gateway.js on a random local port,
+// so the suite needs no credentials or network access.
+
+import { createMockGateway } from '../server/mock-gateway.js';
+import { ConfigManager, DEFAULT_CONFIG, createMemoryStorage } from '../src/js/config.js';
+
+export const ACCOUNT_ID = 'test-account';
+export const GATEWAY_ID = 'test-gateway';
+export const OPENAI_KEY = 'sk-mock';
+
+// Start a mock gateway; returns it with the base URL the app should use
+export async function startMockGateway(options = {}) {
+    const gateway = createMockGateway({ openaiKey: OPENAI_KEY, ...options });
+    const { httpUrl } = await gateway.listen();
+    return { gateway, baseUrl: httpUrl };
+}
+
+// A ConfigManager backed by in-memory storage, pointed at `baseUrl`
+export function createConfigManager(overrides = {}) {
+    return new ConfigManager('test_config', {
+        ...DEFAULT_CONFIG,
+        accountId: ACCOUNT_ID,
+        gatewayId: GATEWAY_ID,
+        openaiKey: OPENAI_KEY,
+        ...overrides
+    }, createMemoryStorage());
+}
+
+// Resolve with the first event on `emitter` that matches `predicate`
+export function waitForEvent(emitter, eventName, predicate = () => true, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(eventName, handler);
+            reject(new Error(`Timed out waiting for "${eventName}"`));
+        }, timeout);
+
+        const handler = (event) => {
+            if (!predicate(event)) return;
+            clearTimeout(timer);
+            emitter.off(eventName, handler);
+            resolve(event);
+        };
+
+        emitter.on(eventName, handler);
+    });
+}
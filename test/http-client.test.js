@@ -0,0 +1,129 @@
+// Retries, backoff and cancellation in the shared HTTP client
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HttpError, fetchWithRetry, getBackoffDelay, getServerDelay } from '../src/js/http-client.js';
+import { createConfigManager, startMockGateway } from './helpers.js';
+
+// A fetch stand-in answering with `responses` in order
+const scriptedFetch = (responses) => {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push(init);
+        const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+        if (next instanceof Error) throw next;
+        return new Response(next.body ?? '{}', { status: next.status, headers: next.headers });
+    };
+    return { fetch, calls };
+};
+
+describe('retry delays', () => {
+    it('reads Retry-After, retry-after-ms and exhausted rate limit budgets', () => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        assert.equal(getServerDelay(new Headers({ 'retry-after': '2' })), 2000);
+        assert.equal(getServerDelay(new Headers({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }), now), 5000);
+        assert.equal(getServerDelay(new Headers({ 'retry-after-ms': '250', 'retry-after': '1' })), 250);
+        assert.equal(getServerDelay(new Headers({
+            'x-ratelimit-remaining-requests': '0',
+            'x-ratelimit-reset-requests': '1m30s',
+            'x-ratelimit-remaining-tokens': '100',
+            'x-ratelimit-reset-tokens': '5m'
+        })), 90000);
+        assert.equal(getServerDelay(new Headers()), null);
+    });
+
+    it('backs off exponentially with jitter, up to the maximum', () => {
+        const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+        assert.equal(getBackoffDelay(0, options, () => 0), 50);
+        assert.equal(getBackoffDelay(2, options, () => 1), 400);
+        assert.equal(getBackoffDelay(10, options, () => 1), 1000);
+    });
+});
+
+describe('fetchWithRetry', () => {
+    it('retries server errors and reports each retry', async () => {
+        const { fetch, calls } = scriptedFetch([{ status: 503 }, { status: 502 }, { status: 200 }]);
+        const retries = [];
+
+        const response = await fetchWithRetry('http://gateway.test', {}, {
+            fetch,
+            baseDelayMs: 1,
+            onRetry: retry => retries.push(retry.status)
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(calls.length, 3);
+        assert.deepEqual(retries, [503, 502]);
+    });
+
+    it('fails at once on other errors, with the provider message', async () => {
+        const { fetch, calls } = scriptedFetch([{ status: 401, body: '{"error":{"message":"Incorrect API key"}}' }]);
+
+        await assert.rejects(fetchWithRetry('http://gateway.test', {}, { fetch }), (error) => {
+            assert.ok(error instanceof HttpError);
+            assert.equal(error.message, 'API Error: 401 - Incorrect API key');
+            return true;
+        });
+        assert.equal(calls.length, 1);
+    });
+
+    it('gives up when the server asks for a longer wait than allowed', async () => {
+        const { fetch, calls } = scriptedFetch([{
+            status: 429,
+            headers: { 'retry-after': '120' },
+            body: '{"success":false,"error":[{"code":2003,"message":"Rate limited"}]}'
+        }]);
+
+        await assert.rejects(fetchWithRetry('http://gateway.test', {}, { fetch, maxDelayMs: 1000 }), /^HttpError: Rate limited \(429\): Rate limited$/);
+        assert.equal(calls.length, 1);
+    });
+
+    it('retries network failures until maxRetries', async () => {
+        const { fetch, calls } = scriptedFetch([new TypeError('fetch failed')]);
+        await assert.rejects(fetchWithRetry('http://gateway.test', {}, { fetch, baseDelayMs: 1, maxRetries: 2 }), /fetch failed/);
+        assert.equal(calls.length, 3);
+    });
+
+    it('stops waiting when cancelled', async () => {
+        const { fetch } = scriptedFetch([{ status: 500 }]);
+        const controller = new AbortController();
+
+        const request = fetchWithRetry('http://gateway.test', {}, {
+            fetch,
+            signal: controller.signal,
+            baseDelayMs: 10000,
+            onRetry: () => controller.abort()
+        });
+        await assert.rejects(request, { name: 'AbortError' });
+    });
+});
+
+describe('gateway rate limiting', () => {
+    let gateway;
+    let manager;
+
+    before(async () => {
+        let baseUrl;
+        ({ gateway, baseUrl } = await startMockGateway({ rateLimit: 1, rateLimitPeriod: 1 }));
+        manager = createConfigManager({ gatewayBaseUrl: baseUrl });
+    });
+
+    after(() => gateway.close());
+
+    it('waits out the Retry-After of a 429 and then succeeds', async () => {
+        const send = (options) => fetchWithRetry(`${manager.getCloudflareBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: manager.getHeaders(),
+            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] })
+        }, options);
+
+        await send();
+        const delays = [];
+        const response = await send({ onRetry: ({ status, delayMs }) => delays.push([status, delayMs]) });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(delays, [[429, 1000]]);
+        assert.deepEqual(gateway.requests.map(request => !!request.rateLimited), [false, true, false]);
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROVIDERS, buildChatRequest } from '../src/js/providers.js';
+import { ACCOUNT_ID, GATEWAY_ID, createConfigManager } from './helpers.js';
+
+const GATEWAY = `https://gateway.ai.cloudflare.com/v1/${ACCOUNT_ID}/${GATEWAY_ID}`;
+
+const TOOLS = [{ type: 'function', function: { name: 'calculator', description: 'Math', parameters: { type: 'object' } } }];
+
+// A conversation with a finished tool round trip
+const MESSAGES = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'What is 6*7?' },
+    {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"6*7"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"result":42}' }
+];
+
+const request = (providerId, overrides = {}, options = {}) => buildChatRequest(
+    createConfigManager({
+        anthropicKey: 'sk-ant',
+        workersAiToken: 'cf-token',
+        azureKey: 'azure-key',
+        azureResource: 'res',
+        azureDeployment: 'dep',
+        googleKey: 'goog',
+        ...overrides
+    }),
+    providerId,
+    { messages: MESSAGES, tools: TOOLS, ...options }
+);
+
+describe('buildChatRequest', () => {
+    it('builds each provider URL and auth headers', () => {
+        const cases = {
+            'openai': [`${GATEWAY}/openai/chat/completions`, 'authorization', 'Bearer sk-mock'],
+            'anthropic': [`${GATEWAY}/anthropic/v1/messages`, 'x-api-key', 'sk-ant'],
+            'workers-ai': [`${GATEWAY}/workers-ai/v1/chat/completions`, 'authorization', 'Bearer cf-token'],
+            'azure-openai': [`${GATEWAY}/azure-openai/res/dep/chat/completions?api-version=2024-10-21`, 'api-key', 'azure-key'],
+            'google-ai-studio': [`${GATEWAY}/google-ai-studio/v1beta/models/gemini-2.0-flash:generateContent`, 'x-goog-api-key', 'goog']
+        };
+
+        for (const [id, [url, header, value]] of Object.entries(cases)) {
+            const { url: actual, headers } = request(id);
+            const normalized = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+            assert.equal(actual, url, id);
+            assert.equal(normalized[header], value, id);
+        }
+    });
+
+    it('streams Google through the SSE endpoint', () => {
+        assert.match(request('google-ai-studio', {}, { stream: true }).url, /:streamGenerateContent\?alt=sse$/);
+    });
+
+    it('sends no provider key in BYOK mode, only the gateway token', () => {
+        const { headers } = request('anthropic', { authMode: 'byok', cfAuthToken: 'token' });
+        assert.equal(headers['x-api-key'], undefined);
+        assert.equal(headers['anthropic-version'], '2023-06-01');
+        assert.equal(headers['cf-aig-authorization'], 'Bearer token');
+    });
+
+    it('validates the selected provider', () => {
+        assert.deepEqual(createConfigManager({ azureKey: 'k' }).validateConfig('azure-openai').errors, [
+            'Azure resource name is required',
+            'Azure deployment name is required'
+        ]);
+        assert.deepEqual(createConfigManager().validateConfig('anthropic').errors, ['Anthropic API Key is required']);
+        assert.equal(createConfigManager({ openaiKey: '', anthropicKey: 'k' }).validateConfig('anthropic').valid, true);
+    });
+});
+
+describe('Anthropic translation', () => {
+    const anthropic = PROVIDERS.anthropic;
+
+    it('moves the system prompt out and converts tool calls and results', () => {
+        const { body } = request('anthropic', { chatParams: { max_tokens: '50', stop: 'END' } });
+
+        assert.equal(body.system, 'Be brief.');
+        assert.equal(body.max_tokens, 50);
+        assert.deepEqual(body.stop_sequences, ['END']);
+        assert.deepEqual(body.messages, [
+            { role: 'user', content: 'What is 6*7?' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'calculator', input: { expression: '6*7' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"result":42}' }] }
+        ]);
+        assert.deepEqual(body.tools, [{ name: 'calculator', description: 'Math', input_schema: { type: 'object' } }]);
+    });
+
+    it('reads text and tool use blocks', () => {
+        const reply = anthropic.parseResponse({
+            content: [
+                { type: 'text', text: 'Let me check.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '1+1' } }
+            ]
+        });
+
+        assert.equal(reply.content, 'Let me check.');
+        assert.deepEqual(reply.tool_calls, [
+            { id: 'toolu_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"1+1"}' } }
+        ]);
+    });
+
+    it('turns stream events into deltas', () => {
+        assert.deepEqual(anthropic.parseStreamEvent({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } }), { content: 'Hi' });
+        assert.deepEqual(
+            anthropic.parseStreamEvent({ type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'calculator' } }),
+            { tool_calls: [{ index: 1, id: 'toolu_1', function: { name: 'calculator' } }] }
+        );
+        assert.equal(anthropic.parseStreamEvent({ type: 'message_stop' }), null);
+        assert.throws(() => anthropic.parseStreamEvent({ type: 'error', error: { message: 'Overloaded' } }), /Overloaded/);
+    });
+});
+
+describe('Google AI Studio translation', () => {
+    const google = PROVIDERS['google-ai-studio'];
+
+    it('converts roles, tool calls and function responses', () => {
+        const { body } = request('google-ai-studio', { chatParams: { temperature: '0.3', response_format: 'json_object' } });
+
+        assert.deepEqual(body.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+        assert.deepEqual(body.generationConfig, { temperature: 0.3, maxOutputTokens: 1000, responseMimeType: 'application/json' });
+        assert.deepEqual(body.contents, [
+            { role: 'user', parts: [{ text: 'What is 6*7?' }] },
+            { role: 'model', parts: [{ functionCall: { name: 'calculator', args: { expression: '6*7' } } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'calculator', response: { content: { result: 42 } } } }] }
+        ]);
+        assert.deepEqual(body.tools, [{ functionDeclarations: [TOOLS[0].function] }]);
+    });
+
+    it('reads text and function calls', () => {
+        const reply = google.parseResponse({
+            candidates: [{ content: { parts: [{ text: 'Sure' }, { functionCall: { name: 'calculator', args: { expression: '2' } } }] } }]
+        });
+
+        assert.equal(reply.content, 'Sure');
+        assert.deepEqual(reply.tool_calls[0].function, { name: 'calculator', arguments: '{"expression":"2"}' });
+    });
+
+    it('numbers streamed function calls across chunks', () => {
+        const chunk = (name, args) => ({ candidates: [{ content: { parts: [{ functionCall: { name, args } }] } }] });
+        const state = {};
+
+        const first = google.parseStreamEvent(chunk('calculator', { expression: '2' }), state);
+        const second = google.parseStreamEvent(chunk('current_time', {}), state);
+
+        assert.deepEqual(first.tool_calls.map(call => [call.index, call.id, call.function.name]), [[0, 'call_0', 'calculator']]);
+        assert.deepEqual(second.tool_calls.map(call => [call.index, call.id, call.function.name]), [[1, 'call_1', 'current_time']]);
+    });
+});
+
+describe('OpenAI-compatible providers', () => {
+    it('send the conversation unchanged', () => {
+        const { body } = request('workers-ai');
+        assert.equal(body.model, '@cf/meta/llama-3.1-8b-instruct');
+        assert.deepEqual(body.messages, MESSAGES);
+        assert.equal(body.tool_choice, 'auto');
+    });
+});
@@ -0,0 +1,81 @@
+// Realtime event log filtering and response latency
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildResponseTimeline, filterEvents } from '../src/js/realtime-events.js';
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+const at = (ms, source, event) => ({ time: new Date(START + ms).toISOString(), source, event });
+
+const events = [
+    at(0, 'client', { type: 'session.update' }),
+    at(10, 'server', { type: 'session.updated' }),
+    at(100, 'client', { type: 'input_audio_buffer.append', audio: '[4 base64 chars]' }),
+    at(200, 'server', { type: 'input_audio_buffer.speech_stopped' }),
+    at(220, 'server', { type: 'input_audio_buffer.committed' }),
+    at(250, 'server', { type: 'response.created', response: { id: 'resp_1', status: 'in_progress' } }),
+    at(400, 'server', { type: 'response.audio_transcript.delta', response_id: 'resp_1', delta: 'Hi' }),
+    at(450, 'server', { type: 'response.audio.delta', response_id: 'resp_1', delta: '[8 base64 chars]' }),
+    at(500, 'server', { type: 'response.audio.delta', response_id: 'resp_1', delta: '[8 base64 chars]' }),
+    at(900, 'server', { type: 'response.done', response: { id: 'resp_1', status: 'completed' } }),
+    at(1000, 'client', { type: 'response.create' }),
+    at(1300, 'server', { type: 'response.created', response: { id: 'resp_2', status: 'in_progress' } }),
+    at(1500, 'server', { type: 'error', error: { message: 'boom' } })
+];
+
+const types = (list) => list.map(({ event }) => event.type);
+
+describe('event filters', () => {
+    it('filters by direction', () => {
+        assert.deepEqual(types(filterEvents(events, { source: 'client' })),
+            ['session.update', 'input_audio_buffer.append', 'response.create']);
+        assert.equal(filterEvents(events).length, events.length);
+    });
+
+    it('matches any of several type substrings', () => {
+        assert.deepEqual(types(filterEvents(events, { types: 'session., error' })),
+            ['session.update', 'session.updated', 'error']);
+    });
+
+    it('hides audio chunks', () => {
+        const shown = types(filterEvents(events, { source: 'server', hideAudio: true, types: 'response.' }));
+        assert.deepEqual(shown, ['response.created', 'response.audio_transcript.delta', 'response.done', 'response.created']);
+    });
+});
+
+describe('response timeline', () => {
+    it('times each response from the event that asked for it', () => {
+        assert.deepEqual(buildResponseTimeline(events), [
+            {
+                id: 'resp_1',
+                trigger: 'input_audio_buffer.speech_stopped',
+                status: 'completed',
+                startedAt: START + 200,
+                created: 50,
+                firstText: 200,
+                firstAudio: 250,
+                done: 700
+            },
+            {
+                id: 'resp_2',
+                trigger: 'response.create',
+                status: 'in_progress',
+                startedAt: START + 1000,
+                created: 300,
+                firstText: null,
+                firstAudio: null,
+                done: null
+            }
+        ]);
+    });
+
+    it('times responses without a trigger from their creation', () => {
+        const [row] = buildResponseTimeline([
+            at(0, 'server', { type: 'response.created', response: { id: 'resp_3', status: 'in_progress' } })
+        ]);
+        assert.equal(row.trigger, null);
+        assert.equal(row.created, 0);
+    });
+});
@@ -0,0 +1,269 @@
+// Realtime sessions through the gateway, replacing the old interactive
+// test-gateway-node.js probe with assertions against the mock gateway
+
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RealtimeSession } from '../src/js/realtime-session.js';
+import { DirectTransport, GatewayTransport } from '../src/js/realtime-transports.js';
+import { toSessionConfig } from '../src/js/session-settings.js';
+import { DEFAULT_TOOLS } from '../src/js/tools.js';
+import { ACCOUNT_ID, GATEWAY_ID, createConfigManager, startMockGateway, waitForEvent } from './helpers.js';
+
+describe('realtime transports', () => {
+    it('authenticates the gateway through subprotocols', () => {
+        const transport = new GatewayTransport(createConfigManager({ cfAuthToken: 'token', useAuthGateway: true }));
+        assert.deepEqual(transport.getProtocols(), [
+            'realtime',
+            'openai-insecure-api-key.sk-mock',
+            'cf-aig-authorization.token',
+            'openai-beta.realtime-v1'
+        ]);
+    });
+
+    it('sends only the gateway token in BYOK mode', () => {
+        const transport = new GatewayTransport(createConfigManager({ authMode: 'byok', cfAuthToken: 'token' }));
+        assert.deepEqual(transport.getProtocols(), ['realtime', 'cf-aig-authorization.token', 'openai-beta.realtime-v1']);
+        assert.equal(transport.getHeaders()['Authorization'], undefined);
+    });
+
+    it('tags Node sessions with the configured and per-session metadata', () => {
+        const manager = createConfigManager({ gatewayOptions: { metadata: 'tenant=acme', maxAttempts: '3' } });
+        const transport = new GatewayTransport(manager, { gatewayOptions: { metadata: { session: 'demo' } } });
+
+        assert.equal(transport.getHeaders()['cf-aig-metadata'], '{"tenant":"acme","session":"demo"}');
+        assert.equal(transport.getHeaders()['cf-aig-max-attempts'], undefined);
+    });
+
+    it('leaves out credentials that are not configured', () => {
+        const transport = new GatewayTransport(createConfigManager({ openaiKey: '', cfAuthToken: 'token' }));
+        assert.deepEqual(transport.getProtocols(), ['realtime', 'openai-beta.realtime-v1']);
+    });
+
+    it('connects directly to OpenAI with the profile realtime model', () => {
+        const transport = new DirectTransport(createConfigManager({ realtimeModel: 'gpt-4o-realtime-preview' }));
+        assert.equal(transport.getUrl(), 'wss://api.openai.com/v1/realtime');
+        assert.equal(transport.getModel(), 'gpt-4o-realtime-preview');
+        assert.equal(transport.getHeaders()['Authorization'], 'Bearer sk-mock');
+    });
+
+    it('needs only the OpenAI key to connect directly', () => {
+        assert.equal(new DirectTransport(createConfigManager({ accountId: '', gatewayId: '' })).validate().valid, true);
+        assert.deepEqual(new DirectTransport(createConfigManager({ openaiKey: '' })).validate().errors, ['OpenAI API Key is required']);
+    });
+});
+
+describe('session settings', () => {
+    it('maps the defaults onto a session.update', () => {
+        const config = toSessionConfig();
+        assert.deepEqual(config.modalities, ['text', 'audio']);
+        assert.deepEqual(config.turn_detection, {
+            type: 'server_vad',
+            threshold: 0.5,
+            prefix_padding_ms: 300,
+            silence_duration_ms: 500
+        });
+        assert.equal(config.max_response_output_tokens, 4096);
+    });
+
+    it('turns blank or "none" fields off', () => {
+        const config = toSessionConfig({
+            turn_detection: 'none',
+            transcription_model: '',
+            max_response_output_tokens: '',
+            vad_threshold: 'not a number'
+        });
+        assert.equal(config.turn_detection, null);
+        assert.equal(config.input_audio_transcription, null);
+        assert.equal(config.max_response_output_tokens, 'inf');
+    });
+});
+
+describe('RealtimeSession via the gateway', () => {
+    let gateway;
+    let baseUrl;
+    let session;
+
+    before(async () => {
+        ({ gateway, baseUrl } = await startMockGateway({
+            cfAuthToken: 'gateway-token',
+            byokKey: 'sk-stored',
+            respond: ({ messages, tools }) => {
+                const lastUser = messages.filter(message => message.role === 'user').at(-1);
+                const text = lastUser?.content?.[0]?.text || '';
+                if (text === 'explode') {
+                    throw new Error('respond hook failed');
+                }
+                if (text.includes('calculate') && tools.length > 0 && messages.at(-1).role !== 'tool') {
+                    return { tool_calls: [{ name: 'calculator', arguments: { expression: '6*7' } }] };
+                }
+                return `You said: ${text}`;
+            }
+        }));
+    });
+
+    after(() => gateway.close());
+
+    afterEach(() => session?.disconnect());
+
+    // Text-only sessions keep the responses on the `message` event
+    const createSession = (overrides = {}) => {
+        const manager = createConfigManager({
+            gatewayBaseUrl: baseUrl,
+            cfAuthToken: 'gateway-token',
+            useAuthGateway: true,
+            sessionSettings: { modalities: 'text' },
+            ...overrides
+        });
+        session = new RealtimeSession({ transport: new GatewayTransport(manager) });
+        return session;
+    };
+
+    it('connects with the configured model and session settings', async () => {
+        const statuses = [];
+        createSession({ realtimeModel: 'gpt-4o-realtime-preview' }).on('status', ({ status }) => statuses.push(status));
+
+        await session.connect();
+        await waitForEvent(session.client.realtime, 'server.session.updated');
+
+        assert.equal(session.isConnected, true);
+        assert.deepEqual(statuses, ['connecting', 'connected']);
+
+        const upgrade = gateway.requests.filter(request => request.kind === 'realtime').at(-1);
+        assert.equal(upgrade.model, 'gpt-4o-realtime-preview');
+        // The gateway's realtime endpoint is .../openai?model=, not .../openai/realtime
+        assert.equal(upgrade.path, `/v1/${ACCOUNT_ID}/${GATEWAY_ID}/openai?model=gpt-4o-realtime-preview`);
+
+        const update = gateway.requests.filter(request => request.event?.type === 'session.update').at(-1);
+        assert.deepEqual(update.event.session.modalities, ['text']);
+        assert.equal(update.event.session.voice, 'alloy');
+    });
+
+    it('connects in BYOK mode without sending the OpenAI key', async () => {
+        await createSession({ authMode: 'byok', openaiKey: '' }).connect();
+
+        assert.equal(session.isConnected, true);
+        const upgrade = gateway.requests.filter(request => request.kind === 'realtime').at(-1);
+        assert.ok(!upgrade.protocols.some(protocol => protocol.startsWith('openai-insecure-api-key.')));
+        assert.equal(upgrade.headers['authorization'], undefined);
+        assert.equal(upgrade.auth.openaiKey, 'sk-stored');
+    });
+
+    it('renders the user message and the assistant reply', async () => {
+        await createSession().connect();
+
+        const reply = waitForEvent(session, 'message', ({ role, text }) => role === 'assistant' && text === 'You said: hello');
+        const echo = waitForEvent(session, 'message', ({ role }) => role === 'user');
+
+        assert.equal(session.sendText('hello'), true);
+        assert.equal((await echo).text, 'hello');
+        await reply;
+    });
+
+    it('exports the transcript with the raw event log', async () => {
+        await createSession().connect();
+
+        const done = waitForEvent(session.client.realtime, 'server.response.done');
+        session.sendText('hello');
+        await done;
+
+        const exported = session.getExport();
+        assert.equal(exported.kind, 'realtime');
+        assert.deepEqual(exported.messages, [
+            { role: 'user', content: 'hello' },
+            { role: 'assistant', content: 'You said: hello' }
+        ]);
+        assert.ok(exported.events.some(({ source, event }) => source === 'client' && event.type === 'session.update'));
+        assert.ok(exported.events.some(({ source, event }) => source === 'server' && event.type === 'response.done'));
+
+        assert.ok(exported.events.some(({ event }) => event.type === 'response.created'));
+
+        session.clear();
+        assert.deepEqual(session.getExport().transcript, []);
+    });
+
+    it('reports each event with its audio collapsed', async () => {
+        await createSession().connect();
+
+        const appended = waitForEvent(session, 'event', ({ event }) => event.type === 'input_audio_buffer.append');
+        session.client.appendInputAudio(new Int16Array(480));
+
+        const { source, event } = await appended;
+        assert.equal(source, 'client');
+        assert.match(event.audio, /^\[\d+ base64 chars\]$/);
+    });
+
+    it('runs a local tool and returns its output to the model', async () => {
+        await createSession({ toolsEnabled: true, tools: DEFAULT_TOOLS }).connect();
+
+        const call = waitForEvent(session, 'message', ({ role, text }) => role === 'tool' && text.startsWith('🔧'));
+        const output = waitForEvent(session, 'message', ({ role, text }) => role === 'tool' && text.startsWith('↩'));
+        const reply = waitForEvent(session, 'message', ({ role }) => role === 'assistant');
+
+        session.sendText('please calculate');
+
+        assert.equal((await call).text, '🔧 calculator({"expression":"6*7"})');
+        assert.deepEqual(JSON.parse((await output).text.slice(2)), { expression: '6*7', result: 42 });
+        await reply;
+
+        const posted = gateway.requests.filter(request => request.event?.item?.type === 'function_call_output');
+        assert.equal(posted.length, 1);
+    });
+
+    it('reports a failing reply as a server error', async () => {
+        await createSession().connect();
+
+        const error = waitForEvent(session.client.realtime, 'server.error');
+        session.sendText('explode');
+
+        assert.equal((await error).error.message, 'respond hook failed');
+    });
+
+    it('cancels a response interrupted before any of its audio played', async () => {
+        await createSession().connect();
+        const { realtime } = session.client;
+
+        const cancel = waitForEvent(realtime, 'client.response.cancel');
+        const notice = waitForEvent(session, 'message', ({ role, text }) => role === 'system' && text === 'Response interrupted');
+        // The server started a response, then heard the user before any audio arrived
+        const receive = (type, fields) => realtime.receive(type, { event_id: `event_${type}`, type, ...fields });
+        receive('response.created', { response: { id: 'resp_pending', output: [] } });
+        receive('input_audio_buffer.speech_started', { item_id: 'item_speech', audio_start_ms: 0 });
+
+        assert.equal(session.player.isPlaying, false);
+        await cancel;
+        await notice;
+        assert.equal(session.responseInProgress, false);
+    });
+
+    it('pushes edited settings to a live session', async () => {
+        await createSession().connect();
+
+        assert.equal(session.applySessionSettings({ turn_detection: 'none', modalities: 'text' }), true);
+        await waitForEvent(session.client.realtime, 'server.session.updated', ({ session: s }) => s.turn_detection === null);
+        // stopRecording() now commits the audio buffer itself
+        assert.equal(session.client.sessionConfig.turn_detection, null);
+        assert.ok(!session.client.getTurnDetectionType());
+    });
+
+    it('reports a rejected connection', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const messages = [];
+        createSession({ cfAuthToken: 'wrong-token' }).on('message', (message) => messages.push(message));
+
+        await session.connect();
+
+        assert.equal(session.isConnected, false);
+        assert.ok(messages.some(({ role, text }) => role === 'error' && text.startsWith('Failed to connect')));
+    });
+
+    it('does not connect with an invalid configuration', async () => {
+        const messages = [];
+        createSession({ accountId: '' }).on('message', (message) => messages.push(message));
+
+        await session.connect();
+
+        assert.equal(session.isConnected, false);
+        assert.match(messages[0].text, /Cloudflare Account ID is required/);
+    });
+});
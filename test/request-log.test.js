@@ -0,0 +1,120 @@
+// Request inspector log: redaction, recording and copy-as commands
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fetchWithRetry } from '../src/js/http-client.js';
+import { RequestLog, redactBody, redactHeaders, toCurl, toNodeFetch } from '../src/js/request-log.js';
+
+const CHAT_URL = 'https://gateway.ai.cloudflare.com/v1/acct/gw/openai/chat/completions';
+
+// Waits for the response body to be read into the log
+const settled = (log) => new Promise((resolve) => {
+    const check = () => {
+        if (log.entries.every(entry => entry.totalMs !== null)) resolve();
+        else setTimeout(check, 5);
+    };
+    check();
+});
+
+describe('request log redaction', () => {
+    it('redacts credential headers and keeps the auth scheme', () => {
+        assert.deepEqual(redactHeaders({
+            'Authorization': 'Bearer sk-secret',
+            'cf-aig-authorization': 'Bearer cf-secret',
+            'x-api-key': 'sk-ant-secret',
+            'Content-Type': 'application/json'
+        }), {
+            'Authorization': 'Bearer [REDACTED]',
+            'cf-aig-authorization': 'Bearer [REDACTED]',
+            'x-api-key': '[REDACTED]',
+            'Content-Type': 'application/json'
+        });
+        assert.deepEqual(redactHeaders(new Headers({ 'x-goog-api-key': 'AIza' })), { 'x-goog-api-key': '[REDACTED]' });
+    });
+
+    it('redacts the step headers of universal endpoint bodies', () => {
+        const body = JSON.stringify([{ provider: 'openai', headers: { 'Authorization': 'Bearer sk-secret' }, query: {} }]);
+        assert.deepEqual(JSON.parse(redactBody(body))[0].headers, { 'Authorization': 'Bearer [REDACTED]' });
+        assert.equal(redactBody('{"model":"gpt-4o-mini"}'), '{"model":"gpt-4o-mini"}');
+    });
+});
+
+describe('RequestLog', () => {
+    it('records each attempt with its response, without the keys', async () => {
+        const log = new RequestLog();
+        const responses = [
+            new Response('{"error":{"message":"slow down"}}', { status: 429, headers: { 'retry-after': '0' } }),
+            new Response('{"choices":[]}', { status: 200, headers: { 'cf-aig-log-id': 'log-1' } })
+        ];
+        const fetch = (url, init) => log.fetch(url, init, async () => responses.shift());
+
+        const response = await fetchWithRetry(CHAT_URL, {
+            method: 'POST',
+            headers: { 'Authorization': 'Bearer sk-secret', 'Content-Type': 'application/json' },
+            body: '{"model":"gpt-4o-mini"}'
+        }, { fetch, baseDelayMs: 1 });
+        assert.equal(await response.text(), '{"choices":[]}');
+        await settled(log);
+
+        assert.deepEqual(log.entries.map(entry => entry.status), [429, 200]);
+        const [limited, ok] = log.entries;
+        assert.equal(limited.responseHeaders['retry-after'], '0');
+        assert.equal(ok.responseHeaders['cf-aig-log-id'], 'log-1');
+        assert.equal(ok.responseBody, '{"choices":[]}');
+        assert.equal(typeof ok.durationMs, 'number');
+        assert.ok(!JSON.stringify(log.entries).includes('sk-secret'));
+    });
+
+    it('records network failures and keeps the newest entries', async () => {
+        const log = new RequestLog({ maxEntries: 2 });
+        const updates = [];
+        log.subscribe(entries => updates.push(entries.length));
+
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(log.fetch(CHAT_URL, {}, async () => { throw new TypeError('fetch failed'); }));
+        }
+
+        assert.deepEqual(log.entries.map(entry => entry.id), [2, 3]);
+        assert.equal(log.entries[1].error, 'fetch failed');
+        assert.equal(log.entries[1].method, 'GET');
+        assert.ok(updates.length > 0);
+
+        log.clear();
+        assert.deepEqual(log.entries, []);
+    });
+});
+
+describe('copy as', () => {
+    const entry = {
+        method: 'POST',
+        url: CHAT_URL,
+        requestHeaders: { 'Authorization': 'Bearer [REDACTED]', 'Content-Type': 'application/json' },
+        requestBody: '{"messages":[{"role":"user","content":"it\'s me"}]}'
+    };
+
+    it('writes a shell-quoted curl command', () => {
+        assert.equal(toCurl(entry), [
+            `curl -X POST '${CHAT_URL}'`,
+            `-H 'Authorization: Bearer [REDACTED]'`,
+            `-H 'Content-Type: application/json'`,
+            `--data-raw '{"messages":[{"role":"user","content":"it'\\''s me"}]}'`
+        ].join(' \\\n  '));
+    });
+
+    it('writes a Node fetch script that sends the same request', async () => {
+        const script = toNodeFetch(entry);
+        const calls = [];
+        const fetch = async (url, init) => {
+            calls.push({ url, init });
+            return new Response('ok');
+        };
+        const AsyncFunction = (async () => {}).constructor;
+        await new AsyncFunction('fetch', 'console', script)(fetch, { log: () => {} });
+
+        assert.equal(calls[0].url, CHAT_URL);
+        assert.equal(calls[0].init.method, 'POST');
+        assert.deepEqual(calls[0].init.headers, entry.requestHeaders);
+        assert.deepEqual(JSON.parse(calls[0].init.body), JSON.parse(entry.requestBody));
+    });
+});
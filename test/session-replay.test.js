@@ -0,0 +1,231 @@
+// Recording realtime sessions frame by frame and replaying them offline
+
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import WebSocket from 'ws';
+
+import { buildAttempt } from '../scripts/auth-matrix.js';
+import { recordSession } from '../scripts/record-session.js';
+import { createReplayServer } from '../server/replay-server.js';
+import { RealtimeSession } from '../src/js/realtime-session.js';
+import { GatewayTransport } from '../src/js/realtime-transports.js';
+import { parseRecording } from '../src/js/session-recording.js';
+import { ACCOUNT_ID, GATEWAY_ID, OPENAI_KEY, createConfigManager, startMockGateway, waitForEvent } from './helpers.js';
+
+const MODEL = 'gpt-4o-mini-realtime-preview';
+
+const serverTypes = (recording) => recording.frames
+    .filter(frame => frame.direction === 'server')
+    .map(frame => frame.data.type);
+
+// Resolve with the next message on a raw socket, or null after `timeout`
+const nextMessage = (ws, timeout = 2000) => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+        ws.off('message', onMessage);
+        resolve(null);
+    }, timeout);
+    const onMessage = (data) => {
+        clearTimeout(timer);
+        resolve(JSON.parse(data.toString()));
+    };
+    ws.once('message', onMessage);
+});
+
+describe('session recordings', () => {
+    let gateway;
+    let baseUrl;
+    let session;
+
+    before(async () => {
+        ({ gateway, baseUrl } = await startMockGateway({ cfAuthToken: 'gateway-token' }));
+    });
+
+    after(() => gateway.close());
+
+    afterEach(() => session?.disconnect());
+
+    const createSession = (url) => {
+        const manager = createConfigManager({
+            gatewayBaseUrl: url,
+            cfAuthToken: 'gateway-token',
+            useAuthGateway: true,
+            sessionSettings: { modalities: 'text' }
+        });
+        session = new RealtimeSession({ transport: new GatewayTransport(manager) });
+        return session;
+    };
+
+    it('records the frames of a raw ws connection', async () => {
+        const attempt = buildAttempt({ key: 'header', token: 'header' }, {
+            gatewayBaseUrl: baseUrl,
+            accountId: ACCOUNT_ID,
+            gatewayId: GATEWAY_ID,
+            openaiKey: OPENAI_KEY,
+            cfAuthToken: 'gateway-token',
+            model: MODEL
+        });
+        const recording = await recordSession(attempt, { text: 'hello', model: MODEL });
+
+        assert.deepEqual(recording.frames.filter(frame => frame.direction === 'client').map(frame => frame.data.type),
+            ['session.update', 'conversation.item.create', 'response.create']);
+        assert.equal(serverTypes(recording)[0], 'session.created');
+        assert.equal(serverTypes(recording).at(-1), 'response.done');
+        assert.ok(recording.frames.every((frame, i) => i === 0 || frame.t >= recording.frames[i - 1].t));
+        assert.equal(recording.close.code, 1000);
+        assert.deepEqual(parseRecording(JSON.stringify(recording)), recording);
+    });
+
+    it('keeps the recording when the gateway refuses the connection', async () => {
+        const attempt = buildAttempt({ key: 'header', token: 'none' }, {
+            gatewayBaseUrl: baseUrl,
+            accountId: ACCOUNT_ID,
+            gatewayId: GATEWAY_ID,
+            openaiKey: OPENAI_KEY,
+            model: MODEL
+        });
+        const error = await recordSession(attempt, { text: 'hello', model: MODEL }).catch(error => error);
+
+        assert.match(error.message, /refused the connection \(401\)/);
+        assert.deepEqual(error.recording.frames, []);
+    });
+
+    it('records a page session and replays it to a new one', async () => {
+        createSession(baseUrl).recordFrames = true;
+        await session.connect();
+        let reply = waitForEvent(session, 'message', ({ role, text }) => role === 'assistant' && text === 'Mock realtime reply: hello');
+        session.sendText('hello');
+        await reply;
+        await waitForEvent(session.client.realtime, 'server.response.done');
+        const recording = session.getRecording();
+        session.disconnect();
+
+        const upgrades = () => gateway.requests.filter(request => request.kind === 'realtime').length;
+        const recordedUpgrades = upgrades();
+
+        const replay = createReplayServer(recording, { speed: 0 });
+        const { httpUrl } = await replay.listen();
+        try {
+            await createSession(httpUrl).connect();
+            assert.equal(session.isConnected, true);
+
+            reply = waitForEvent(session, 'message', ({ role, text }) => role === 'assistant' && text === 'Mock realtime reply: hello');
+            session.sendText('hello');
+            await reply;
+
+            await replay.connections[0].done;
+            assert.equal(replay.connections[0].sent, serverTypes(recording).length);
+            assert.equal(upgrades(), recordedUpgrades);
+        } finally {
+            session.disconnect();
+            await replay.close();
+        }
+    });
+
+    it('reports a frame that is not JSON as a server error', async () => {
+        const replay = createReplayServer({
+            version: 1,
+            frames: [{ t: 0, direction: 'server', data: '<html>502 Bad Gateway</html>' }],
+            close: null
+        }, { speed: 0 });
+        const { httpUrl } = await replay.listen();
+        try {
+            // The frame is sent as soon as the socket opens
+            const notice = waitForEvent(createSession(httpUrl), 'message', ({ role }) => role === 'error');
+            await session.connect();
+
+            assert.match((await notice).text, /Server error: Received a frame that is not JSON: <html>502 Bad Gateway/);
+            assert.equal(session.events.find(({ event }) => event.type === 'error').event.error.type, 'invalid_frame');
+            assert.equal(session.isConnected, true);
+        } finally {
+            session.disconnect();
+            await replay.close();
+        }
+    });
+});
+
+describe('replay server', () => {
+    let replay;
+    let ws;
+
+    afterEach(async () => {
+        ws?.terminate();
+        await replay?.close();
+    });
+
+    it('waits for the client frames the recording had before going on', async () => {
+        replay = createReplayServer({
+            version: 1,
+            frames: [
+                { t: 0, direction: 'server', data: { type: 'session.created' } },
+                { t: 5, direction: 'client', data: { type: 'input_audio_buffer.append', audio: 'AAAA' } },
+                { t: 10, direction: 'client', data: { type: 'response.create' } },
+                { t: 20, direction: 'server', data: { type: 'response.done' } }
+            ],
+            close: { t: 30, code: 4000, reason: 'replayed' }
+        }, { speed: 0 });
+        const { wsUrl } = await replay.listen();
+
+        ws = new WebSocket(`${wsUrl}/any/path`, ['realtime']);
+        const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+        assert.equal((await nextMessage(ws)).type, 'session.created');
+        assert.equal(await nextMessage(ws, 50), null);
+        assert.equal(replay.connections[0].waitingFor, 'response.create');
+
+        ws.send(JSON.stringify({ type: 'conversation.item.create' }));
+        ws.send(JSON.stringify({ type: 'response.create' }));
+        assert.equal((await nextMessage(ws)).type, 'response.done');
+        assert.deepEqual(await closed, { code: 4000, reason: 'replayed' });
+        assert.deepEqual(replay.connections[0].received.map(event => event.type), ['conversation.item.create', 'response.create']);
+    });
+
+    // Record against a replay of `frames`
+    const recordReplay = async (frames, options) => {
+        replay = createReplayServer({ version: 1, frames, close: null }, { speed: 0 });
+        const { wsUrl } = await replay.listen();
+        const attempt = { url: `${wsUrl}/${ACCOUNT_ID}/${GATEWAY_ID}/openai?model=${MODEL}`, protocols: ['realtime'], headers: {} };
+        return recordSession(attempt, { text: 'hello', model: MODEL, ...options });
+    };
+
+    it('ends a recording with an error on a frame that is not JSON', async () => {
+        const error = await recordReplay([{ t: 0, direction: 'server', data: '<html>502 Bad Gateway</html>' }])
+            .catch(error => error);
+
+        assert.match(error.message, /not JSON: <html>502 Bad Gateway/);
+        assert.ok(error.recording.frames.some(frame => frame.data === '<html>502 Bad Gateway</html>'));
+        assert.equal(error.recording.close.code, 1000);
+    });
+
+    it('closes the socket when no response arrives in time', async () => {
+        const error = await recordReplay([{ t: 0, direction: 'server', data: { type: 'session.created' } }], { timeout: 100 })
+            .catch(error => error);
+
+        assert.match(error.message, /No response within 0.1s/);
+        assert.deepEqual(serverTypes(error.recording), ['session.created']);
+        assert.equal(error.recording.close.code, 1000);
+    });
+
+    it('keeps the recording when the handshake never finishes', async (t) => {
+        // Accepts the TCP connection but never answers the upgrade
+        const sockets = [];
+        const server = net.createServer(socket => sockets.push(socket));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        t.after(() => {
+            sockets.forEach(socket => socket.destroy());
+            server.close();
+        });
+
+        const attempt = { url: `ws://127.0.0.1:${server.address().port}/openai?model=${MODEL}`, protocols: ['realtime'], headers: {} };
+        const error = await recordSession(attempt, { text: 'hello', model: MODEL, timeout: 100 }).catch(error => error);
+
+        assert.match(error.message, /No response within 0.1s/);
+        assert.deepEqual(error.recording.frames, []);
+    });
+
+    it('rejects files that are not recordings', () => {
+        assert.throws(() => parseRecording('nope'), /The recording is not JSON/);
+        assert.throws(() => parseRecording('{"version": 2, "frames": []}'), /Not a realtime session recording/);
+        assert.throws(() => parseRecording('{"version": 1, "frames": [{"t": 0}]}'), /Frame 1 needs a time and a direction/);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SSEParser, readSSE } from '../src/js/sse.js';
+
+describe('SSEParser', () => {
+    it('emits one payload per event', () => {
+        const parser = new SSEParser();
+        assert.deepEqual(parser.push('data: one\n\ndata: two\n\n'), ['one', 'two']);
+    });
+
+    it('buffers lines split across chunks', () => {
+        const parser = new SSEParser();
+        assert.deepEqual(parser.push('data: {"a"'), []);
+        assert.deepEqual(parser.push(':1}\n'), []);
+        assert.deepEqual(parser.push('\n'), ['{"a":1}']);
+    });
+
+    it('handles CRLF line endings', () => {
+        const parser = new SSEParser();
+        assert.deepEqual(parser.push('data: x\r\n\r\n'), ['x']);
+    });
+
+    it('joins multi-line data and skips comments and other fields', () => {
+        const parser = new SSEParser();
+        const events = parser.push(': keep-alive\nevent: message\ndata: a\ndata:b\nid: 1\n\n');
+        assert.deepEqual(events, ['a\nb']);
+    });
+
+    it('flushes an event missing its final blank line', () => {
+        const parser = new SSEParser();
+        assert.deepEqual(parser.push('data: [DONE]'), []);
+        assert.deepEqual(parser.flush(), ['[DONE]']);
+    });
+});
+
+describe('readSSE', () => {
+    // Build a fetch Response whose body arrives in the given byte chunks
+    const responseFrom = (chunks) => new Response(new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(chunk);
+            controller.close();
+        }
+    }));
+
+    it('keeps multi-byte characters split across chunks intact', async () => {
+        const bytes = new TextEncoder().encode('data: héllo 👋\n\ndata: [DONE]\n\n');
+        // Split inside the emoji's four-byte sequence
+        const splitAt = bytes.indexOf(0xf0) + 2;
+
+        const payloads = [];
+        for await (const payload of readSSE(responseFrom([bytes.slice(0, splitAt), bytes.slice(splitAt)]))) {
+            payloads.push(payload);
+        }
+
+        assert.deepEqual(payloads, ['héllo 👋', '[DONE]']);
+    });
+
+    it('cancels the body and releases it when the caller stops early', async () => {
+        let cancelled = false;
+        const encoder = new TextEncoder();
+        const response = new Response(new ReadableStream({
+            pull(controller) {
+                controller.enqueue(encoder.encode('data: more\n\n'));
+            },
+            cancel() {
+                cancelled = true;
+            }
+        }));
+
+        for await (const payload of readSSE(response)) {
+            assert.equal(payload, 'more');
+            break;
+        }
+
+        assert.equal(cancelled, true);
+        assert.equal(response.body.locked, false);
+    });
+
+    it('releases the body once it has been read to the end', async () => {
+        const response = responseFrom([new TextEncoder().encode('data: [DONE]\n\n')]);
+        for await (const payload of readSSE(response)) {
+            assert.equal(payload, '[DONE]');
+        }
+
+        assert.equal(response.body.locked, false);
+    });
+});
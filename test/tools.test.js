@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_TOOLS, ToolRegistry, evaluateExpression, validateTool } from '../src/js/tools.js';
+
+describe('evaluateExpression', () => {
+    it('follows the usual precedence rules', () => {
+        assert.equal(evaluateExpression('2 + 3 * 4'), 14);
+        assert.equal(evaluateExpression('(2 + 3) * 4'), 20);
+        assert.equal(evaluateExpression('2 ^ 3 ^ 2'), 512);
+        assert.equal(evaluateExpression('-2 ^ 2'), -4);
+        assert.equal(evaluateExpression('sqrt(16) + abs(-1)'), 5);
+    });
+
+    it('rejects anything that is not arithmetic', () => {
+        assert.throws(() => evaluateExpression('constructor'), /Unexpected token/);
+        assert.throws(() => evaluateExpression('1 +'), /Unexpected end/);
+        assert.throws(() => evaluateExpression('1 2'), /Unexpected token "2"/);
+    });
+});
+
+describe('validateTool', () => {
+    it('accepts a well-formed tool', () => {
+        const tool = { name: 'sum', parameters: { type: 'object' }, handler: 'calculator' };
+        assert.deepEqual(validateTool(tool, DEFAULT_TOOLS), []);
+    });
+
+    it('reports duplicate names, bad schemas and unknown handlers', () => {
+        const tool = { name: 'calculator', parameters: { type: 'string' }, handler: 'shell' };
+        assert.equal(validateTool(tool, DEFAULT_TOOLS).length, 3);
+    });
+});
+
+describe('ToolRegistry', () => {
+    const registry = new ToolRegistry([
+        ...DEFAULT_TOOLS,
+        { ...DEFAULT_TOOLS[0], name: 'disabled', enabled: false }
+    ]);
+
+    it('only exposes enabled tools', () => {
+        assert.deepEqual(registry.getChatDefinitions().map(tool => tool.function.name), ['calculator', 'get_current_time', 'echo_json']);
+        assert.deepEqual(registry.getRealtimeDefinitions().map(tool => tool.name), ['calculator', 'get_current_time', 'echo_json']);
+    });
+
+    it('runs handlers with JSON string arguments', async () => {
+        assert.deepEqual(await registry.call('calculator', '{"expression": "6*7"}'), { expression: '6*7', result: 42 });
+        assert.deepEqual(await registry.call('echo_json', { payload: { a: 1 } }), { echo: { payload: { a: 1 } } });
+    });
+
+    it('returns failures as { error }', async () => {
+        assert.match((await registry.call('disabled', '{}')).error, /Unknown tool/);
+        assert.match((await registry.call('calculator', '{oops')).error, /Invalid JSON arguments/);
+        assert.match((await registry.call('calculator', '{"expression": "1 +"}')).error, /Unexpected end/);
+    });
+});
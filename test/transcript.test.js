@@ -0,0 +1,92 @@
+// Transcript export formats and import parsing
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createExport, exportFileName, formatExport, parseTranscript } from '../src/js/transcript.js';
+
+const messages = [
+    { role: 'user', content: 'What is 6*7?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"6*7"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"result":42}' },
+    { role: 'assistant', content: '42.' }
+];
+
+const transcript = [
+    { type: 'user', content: 'What is 6*7?', meta: '' },
+    { type: 'tool', content: '🔧 calculator({"expression":"6*7"}) → {"result":42}', meta: '' },
+    { type: 'assistant', content: '42.', meta: 'OpenAI · gpt-4o-mini' }
+];
+
+const chatExport = () => createExport({
+    kind: 'chat',
+    title: 'What is 6*7?',
+    model: 'OpenAI · gpt-4o-mini',
+    profile: 'Default',
+    createdAt: Date.UTC(2024, 0, 1),
+    messages,
+    transcript
+});
+
+describe('transcript export', () => {
+    it('writes Markdown with a heading per turn', () => {
+        const markdown = formatExport(chatExport(), 'markdown');
+
+        assert.ok(markdown.startsWith('# What is 6*7?\n'));
+        assert.match(markdown, /- \*\*Started\*\*: 2024-01-01T00:00:00\.000Z/);
+        assert.match(markdown, /## User\n\nWhat is 6\*7\?/);
+        assert.match(markdown, /> \*\*Tool\*\*: 🔧 calculator/);
+        assert.match(markdown, /## Assistant · OpenAI · gpt-4o-mini\n\n42\./);
+    });
+
+    it('writes the chat messages as one JSONL line', () => {
+        const lines = formatExport(chatExport(), 'jsonl').trim().split('\n');
+
+        assert.equal(lines.length, 1);
+        assert.deepEqual(JSON.parse(lines[0]), { messages });
+    });
+
+    it('builds messages from a realtime transcript', () => {
+        const exported = createExport({ kind: 'realtime', title: 'Voice', transcript, events: [] });
+
+        assert.deepEqual(exported.messages, [
+            { role: 'user', content: 'What is 6*7?' },
+            { role: 'assistant', content: '42.' }
+        ]);
+        assert.deepEqual(exported.events, []);
+    });
+
+    it('names files after the title', () => {
+        assert.equal(exportFileName(chatExport(), 'markdown'), 'what-is-6-7.md');
+        assert.equal(exportFileName({ title: '???' }, 'jsonl'), 'conversation.jsonl');
+        assert.throws(() => formatExport(chatExport(), 'csv'), /Unknown export format "csv"/);
+    });
+});
+
+describe('transcript import', () => {
+    it('round-trips a JSON export', () => {
+        const [imported] = parseTranscript(formatExport(chatExport(), 'json'));
+
+        assert.equal(imported.title, 'What is 6*7?');
+        assert.equal(imported.profile, 'Default');
+        assert.deepEqual(imported.messages, messages);
+        assert.deepEqual(imported.transcript, transcript);
+    });
+
+    it('reads one conversation per JSONL line and rebuilds the transcript', () => {
+        const text = `${JSON.stringify({ messages })}\n\n${JSON.stringify({ messages: messages.slice(0, 1) })}\n`;
+        const imported = parseTranscript(text);
+
+        assert.equal(imported.length, 2);
+        assert.deepEqual(imported[0].transcript.map(entry => entry.type), ['user', 'tool', 'assistant']);
+        assert.equal(imported[0].transcript[1].content, transcript[1].content);
+        assert.deepEqual(imported[1].messages, messages.slice(0, 1));
+    });
+
+    it('rejects files it cannot read', () => {
+        assert.throws(() => parseTranscript('{"messages": []}\nnot json'), /Line 2 is not JSON/);
+        assert.throws(() => parseTranscript('{"prompt": "hi"}'), /Line 1 has no "messages" array/);
+        assert.throws(() => parseTranscript(JSON.stringify({ version: 1, transcript: [] })), /The export has no messages/);
+        assert.deepEqual(parseTranscript(''), []);
+    });
+});
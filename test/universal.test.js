@@ -0,0 +1,101 @@
+// Fallback chains through the universal endpoint, built from saved profiles
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildUniversalRequest, describeStep, getAnsweringStep, validateFallbackChain } from '../src/js/universal.js';
+import { ACCOUNT_ID, GATEWAY_ID, createConfigManager, startMockGateway } from './helpers.js';
+
+const MESSAGES = [{ role: 'user', content: 'Hello' }];
+
+describe('buildUniversalRequest', () => {
+    it('turns each profile and provider into a step', () => {
+        const manager = createConfigManager({ useAuthGateway: true, cfAuthToken: 'gateway-token' });
+        manager.createProfile('Claude', { anthropicKey: 'sk-ant', anthropicModel: 'claude-test' });
+
+        const { url, headers, body, steps } = buildUniversalRequest(manager, [
+            { profile: 'Default', provider: 'openai' },
+            { profile: 'Claude', provider: 'anthropic' }
+        ], { messages: MESSAGES });
+
+        assert.equal(url, `https://gateway.ai.cloudflare.com/v1/${ACCOUNT_ID}/${GATEWAY_ID}`);
+        assert.equal(headers['cf-aig-authorization'], 'Bearer gateway-token');
+        assert.deepEqual(body.map(({ provider, endpoint }) => [provider, endpoint]), [
+            ['openai', 'chat/completions'],
+            ['anthropic', 'v1/messages']
+        ]);
+        assert.equal(body[0].headers['Authorization'], 'Bearer sk-mock');
+        assert.equal(body[1].headers['x-api-key'], 'sk-ant');
+        assert.equal(body[1].query.model, 'claude-test');
+        assert.equal(describeStep(steps, 1), 'Fallback step 2/2: Anthropic · claude-test');
+    });
+
+    it('keeps the non-secret provider headers in BYOK mode', () => {
+        const manager = createConfigManager({ authMode: 'byok', cfAuthToken: 'gateway-token' });
+        manager.createProfile('Claude', { anthropicKey: 'sk-ant' });
+
+        const { body } = buildUniversalRequest(manager, [{ profile: 'Claude', provider: 'anthropic' }], { messages: MESSAGES });
+
+        assert.equal(body[0].headers['x-api-key'], undefined);
+        assert.equal(body[0].headers['anthropic-version'], '2023-06-01');
+    });
+
+    it('reads the answering step only when it is one of the chain', () => {
+        const steps = [{ provider: 'openai', model: 'a' }, { provider: 'anthropic', model: 'b' }];
+        const answeredBy = (step) => getAnsweringStep(new Response('', { headers: step === undefined ? {} : { 'cf-aig-step': step } }), steps);
+
+        assert.equal(answeredBy(undefined), 0);
+        assert.equal(answeredBy('1'), 1);
+        for (const step of ['2', '-1', '1.5', 'abc']) {
+            assert.equal(answeredBy(step), null, step);
+        }
+        assert.equal(describeStep(steps, null), 'Fallback chain (2 steps)');
+    });
+
+    it('reports problems per step', () => {
+        const manager = createConfigManager();
+        manager.createProfile('Empty');
+
+        assert.deepEqual(validateFallbackChain(manager, [
+            { profile: 'Default', provider: 'openai' },
+            { profile: 'Empty', provider: 'google-ai-studio' },
+            { profile: 'Gone', provider: 'openai' }
+        ]), [
+            'Step 2 (Empty): Google AI Studio API Key is required',
+            'Step 3 (Gone): No profile named "Gone"'
+        ]);
+        assert.deepEqual(validateFallbackChain(manager, []), ['Add at least one step to the fallback chain']);
+    });
+});
+
+describe('universal endpoint fallback', () => {
+    let gateway;
+    let manager;
+
+    before(async () => {
+        let baseUrl;
+        ({ gateway, baseUrl } = await startMockGateway({ respond: () => 'From the fallback.' }));
+        manager = createConfigManager({ gatewayBaseUrl: baseUrl, openaiKey: 'sk-revoked' });
+        manager.createProfile('Backup', { openaiKey: 'sk-mock', model: 'gpt-4o' });
+    });
+
+    after(() => gateway.close());
+
+    it('falls back to the next step and says which one answered', async () => {
+        const { url, headers, body, steps } = buildUniversalRequest(manager, [
+            { profile: 'Default', provider: 'openai' },
+            { profile: 'Backup', provider: 'openai' }
+        ], { messages: MESSAGES });
+
+        const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+        assert.equal(response.status, 200);
+
+        const index = getAnsweringStep(response, steps);
+        assert.equal(index, 1);
+        assert.equal(steps[index].model, 'gpt-4o');
+
+        const data = await response.json();
+        assert.equal(data.choices[0].message.content, 'From the fallback.');
+        assert.deepEqual(gateway.requests.at(-1).attempts, [{ step: 0, status: 401 }, { step: 1, status: 200 }]);
+    });
+});
@@ -1,8 +1,13 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import { resolve } from 'path'
+import { brokerPlugin, loadBrokerConfig } from './server/broker.js'
 
 export default defineConfig({
   root: '.',
+  // Serves /api/broker on the dev and preview servers, with credentials from .env
+  plugins: [
+    brokerPlugin(mode => loadBrokerConfig(loadEnv(mode, process.cwd(), '')))
+  ],
   publicDir: 'public',
   build: {
     outDir: 'dist',